@@ -22,17 +22,124 @@
 // Width of the TOC
 var tocWidth;
 
+// Windows narrower than this show the TOC as a drawer that slides in over the topic rather than beside it
+var tocDrawerWindowWidth = 768;
+
+// The TOC files that have been loaded, keyed by the ID of the TOC entry.  Each is a promise resolved with the
+// XML document.
+var tocFileCache = {};
+
+// The full TOC used by the TOC filter.  This is a promise that is created the first time the TOC is filtered.
+var fullToc = null;
+
+// The TOC entries that were shown before the TOC was filtered.  They are put back when the filter is cleared.
+var unfilteredTocEntries = null;
+
+// The timer used to filter the TOC once the user stops typing in the TOC filter box
+var tocFilterTimer = null;
+
+// The characters typed so far to find a TOC entry by its title and the timer used to clear them when the user
+// pauses
+var tocTypeAheadText = "";
+var tocTypeAheadTimer = null;
+
+// The topics that can be suggested as the user types in the page header's search box.  This is a promise
+// that is created the first time the suggestions are needed.
+var searchSuggestions = null;
+
 // Search method (0 = To be determined, 1 = ASPX, 2 = PHP, anything else = client-side script
 var searchMethod = 0;
 
+// The documentation sets that can be searched together from the search page.  Each has a title used to label
+// its results and the path of its root folder relative to the search page.  The first one is the current
+// site.  The search page sets this when other documentation sets are available.
+var searchDocSets = [];
+
+// The requests for the metadata index of each documentation set used to fill in the namespace filter, keyed
+// by URL, and the ID of the latest update of the filter.  Only the latest update's results are used.
+var searchMetadataRequests = {};
+var namespaceFilterUpdateId = 0;
+
+// The pending search method probe if one has been started
+var searchMethodProbe = null;
+
+// The ID of the current search and the requests it has outstanding.  Results from a search that has been
+// superseded by a newer one are ignored.
+var searchId = 0;
+var pendingSearchRequests = [];
+
+// Client-side search index files that have already been loaded, keyed by URL
+var searchIndexCache = {};
+
+// The containers and text of topics that have been loaded to show search result excerpts, keyed by URL
+var topicSummaryCache = {};
+
+// The search result items waiting to be scrolled into view before their excerpts are loaded, those that are in
+// view and waiting for a free request, and the number of excerpt requests in progress.  Only a few topics are
+// loaded at a time so that a page of results does not flood the server with requests.
+var pendingExcerptItems = [];
+var queuedExcerptItems = [];
+var activeExcerptRequests = 0;
+var maxExcerptRequests = 4;
+
+// The letters next to each one on a QWERTY keyboard.  A misspelled word's first letter may have been typed
+// as one of these.
+var keyboardNeighbors = {
+    a: "qwsz", b: "vghn", c: "xdfv", d: "serfcx", e: "wsdr", f: "drtgvc", g: "ftyhbv", h: "gyujnb", i: "ujko",
+    j: "huikmn", k: "jiolm", l: "kop", m: "njk", n: "bhjm", o: "iklp", p: "ol", q: "wa", r: "edft", s: "awedxz",
+    t: "rfgy", u: "yhji", v: "cfgb", w: "qase", x: "zsdc", y: "tghu", z: "asx"
+};
+
+// The timer used to start a search once the user stops typing in the search page's text box
+var searchDelayTimer = null;
+
+// The number of client-side search results shown at a time
+var searchResultsPageSize = 50;
+
 // Table of contents script
 
-// Initialize the TOC by restoring its width from the cookie if present
+// Initialize the TOC by restoring its width from the cookie if present.  The entries expanded on earlier pages
+// are expanded again and the TOC is returned to its last scroll position.
 function InitializeToc()
 {
     tocWidth = parseInt(GetCookie("TocWidth", "280"));
+    InitializeTocDrawer();
     ResizeToc();
-    $(window).resize(SetNavHeight)
+    $(window).resize(ResizeToc)
+
+    MarkCurrentTocEntry();
+    InitializeBreadcrumb();
+    InitializeTopicNavigation();
+    InitializePageOutline();
+    SetTocTreeAttributes();
+    $("#tocNav").on("keydown", "a[tocid]", OnTocKeyDown).on("focus", "a[tocid]", function()
+    {
+        SetTocTabStop($(this).parent());
+    });
+
+    InitializeTocFilter();
+
+    // Once the entries expanded on earlier pages have been expanded again, return the TOC to its last scroll
+    // position but make sure that the current topic can be seen.  Changes to the position are saved from then on.
+    ExpandTocEntries(GetTocExpandedIds()).done(function()
+    {
+        var tocNav = $("#tocNav");
+
+        tocNav.scrollTop(+GetSessionValue(GetTocStateName("TocScrollTop"), "0"));
+        ScrollTocEntryIntoView(tocNav.children("div.current").first());
+        UpdateTocRevealLink();
+
+        tocNav.scroll(function()
+        {
+            SetSessionValue(GetTocStateName("TocScrollTop"), $(this).scrollTop());
+        });
+    });
+
+    // The website has no index tab so link to the keyword index page from the header instead
+    $("#SearchForm").before("<a class=\"headerLink\" href=\"../keywordIndex.html\">Index</a>");
+
+    InitializeSearchSuggestions();
+    HighlightSearchKeywords();
 }
 
 function SetNavHeight()
@@ -44,6 +151,17 @@ function SetNavHeight()
     // want outer height of left navigation div to match outer height of content
     leftNavHeight = $topicContent.outerHeight() - leftNavPadding
     $leftNav.css("min-height", leftNavHeight + "px")
+
+    // The TOC scrolls on its own so that its position can be kept from one topic to the next
+    $("#tocNav").css("max-height", $(window).height() + "px")
+
+    // As a drawer, the TOC fills the height of the window rather than matching the content
+    if($("body").hasClass("tocDrawerMode") && $("#tocNav").length != 0)
+    {
+        $leftNav.css("min-height", "")
+        $("#tocNav").css("max-height", ($(window).height() -
+            document.getElementById("tocNav").getBoundingClientRect().top) + "px")
+    }
 }
 
 // Increase the TOC width
@@ -77,12 +195,15 @@ function ResizeToc()
 
     if(toc)
     {
-        // Set TOC width
-        toc.style.width = tocWidth + "px";
+        var isDrawer = UpdateTocDrawerMode();
+
+        // Set TOC width.  As a drawer, it covers the topic so the topic does not need to make room for it.
+        toc.style.width = (isDrawer ? GetTocDrawerWidth() : tocWidth) + "px";
 
         var leftNavPadding = 10;
 
-        document.getElementById("TopicContent").style.marginLeft = (tocWidth + leftNavPadding) + "px";
+        document.getElementById("TopicContent").style.marginLeft = isDrawer ? "0px" :
+            (tocWidth + leftNavPadding) + "px";
 
         // Position images
         document.getElementById("TocResize").style.left = (tocWidth + leftNavPadding) + "px";
@@ -97,16 +218,22 @@ function ResizeToc()
     SetNavHeight()
 }
 
-// Toggle a TOC entry between its collapsed and expanded state
+// Toggle a TOC entry between its collapsed and expanded state.  The returned promise is resolved once the
+// entry's children have been loaded if that was necessary.
 function Toggle(item)
 {
     var isExpanded = $(item).hasClass("tocExpanded");
+    var tocid = $(item).next().attr("tocid");
 
     $(item).toggleClass("tocExpanded tocCollapsed");
+    $(item).next().attr("aria-expanded", isExpanded ? "false" : "true");
+    SaveTocExpandedState($(item).parent(), !isExpanded);
 
     if(isExpanded)
     {
         Collapse($(item).parent());
+        SetTocTreeAttributes();
+        UpdateTocRevealLink();
     }
     else
     {
@@ -115,390 +242,2254 @@ function Toggle(item)
         if(childrenLoaded)
         {
             Expand($(item).parent());
+            SetTocTreeAttributes();
+            UpdateTocRevealLink();
         }
         else
         {
-            var tocid = $(item).next().attr("tocid");
-
-            $.ajax({
-                url: "../toc/" + tocid + ".xml",
-                async: true,
-                dataType: "xml",
-                success: function(data)
-                {
-                    BuildChildren($(item).parent(), data);
-                }
+            return LoadTocFile(tocid).done(function(data)
+            {
+                BuildChildren($(item).parent(), data);
             });
         }
     }
+
+    return $.Deferred().resolve().promise();
 }
 
-// HTML encode a value for use on the page
-function HtmlEncode(value)
+// Get the name used to save a TOC setting for the current documentation set.  The client and server
+// documentation are served from the same site so the name of the documentation set's folder is included to
+// keep their settings apart.  Topics are in the html folder below it.
+function GetTocStateName(name)
 {
-    // Create an in-memory div, set it's inner text (which jQuery automatically encodes) then grab the encoded
-    // contents back out.  The div never exists on the page.
-    return $('<div/>').text(value).html();
+    var path = window.location.pathname.split("/");
+
+    return name + "_" + (path.length > 2 ? path[path.length - 3] : "");
 }
 
-// Build the child entries of a TOC entry
-function BuildChildren(tocDiv, data)
+// Get the IDs of the TOC entries that the user has expanded
+function GetTocExpandedIds()
 {
-    var childLevel = +tocDiv.attr("data-toclevel") + 1;
-    var childTocLevel = childLevel >= 10 ? 10 : childLevel;
-    var elements = data.getElementsByTagName("HelpTOCNode");
+    var ids = GetSessionValue(GetTocStateName("TocExpanded"), "");
 
-    var isRoot = true;
+    return (ids == "") ? [] : ids.split(" ");
+}
 
-    if(data.getElementsByTagName("HelpTOC").length == 0)
-    {
-        // The first node is the root node of this group, don't show it again
-        isRoot = false;
-    }
+// Add or remove a TOC entry from the set of entries that the user has expanded.  When an entry is expanded,
+// its ancestors are added too as they may only have been expanded when the page was generated and would not
+// be expanded on other pages.
+function SaveTocExpandedState(tocDiv, isExpanded)
+{
+    var ids = GetTocExpandedIds();
+    var entries = isExpanded ? GetTocAncestors(tocDiv).add(tocDiv) : tocDiv;
 
-    for(var i = elements.length - 1; i > 0 || (isRoot && i == 0); i--)
+    entries.each(function()
     {
-        var childHRef, childId = elements[i].getAttribute("Url");
+        var tocid = $(this).children("a[tocid]").attr("tocid"), idx = $.inArray(tocid, ids);
 
-        if(childId != null && childId.length > 5)
-        {
-            // The Url attribute has the form "html/{childId}.htm"
-            childHRef = childId.substring(5, childId.length);
-            childId = childId.substring(5, childId.lastIndexOf("."));
-        }
-        else
+        if(tocid != null && (idx != -1) != isExpanded)
         {
-            // The Id attribute is in raw form.  There is no URL (empty container node).  In this case, we'll
-            // just ignore it and go nowhere.  It's a rare case that isn't worth trying to get the first child.
-            // Instead, we'll just expand the node (see below).
-            childHRef = "#";
-            childId = elements[i].getAttribute("Id");
+            if(isExpanded)
+                ids.push(tocid);
+            else
+                ids.splice(idx, 1);
         }
+    });
 
-        var existingItem = null;
+    SetSessionValue(GetTocStateName("TocExpanded"), ids.join(" "));
+}
 
-        tocDiv.nextAll().each(function()
-        {
-            if(!existingItem && $(this).children().last("a").attr("tocid") == childId)
-            {
-                existingItem = $(this);
-            }
-        });
+// Get the ancestors of a TOC entry, the nearest one last
+function GetTocAncestors(tocDiv)
+{
+    var tocLevel = +tocDiv.attr("data-toclevel"), ancestors = [];
 
-        if(existingItem != null)
+    tocDiv.prevAll().each(function()
+    {
+        var level = +$(this).attr("data-toclevel");
+
+        if(level < tocLevel)
         {
-            // First move the children of the existing item
-            var existingChildLevel = +existingItem.attr("data-toclevel");
-            var doneMoving = false;
-            var inserter = tocDiv;
+            ancestors.unshift(this);
+            tocLevel = level;
+        }
+    });
 
-            existingItem.nextAll().each(function()
-            {
-                if(!doneMoving && +$(this).attr("data-toclevel") > existingChildLevel)
-                {
-                    inserter.after($(this));
-                    inserter = $(this);
-                    $(this).attr("data-toclevel", +$(this).attr("data-toclevel") + childLevel - existingChildLevel);
+    return $(ancestors);
+}
 
-                    if($(this).hasClass("current"))
-                        $(this).attr("class", "toclevel" + (+$(this).attr("data-toclevel") + " current"));
-                    else
-                        $(this).attr("class", "toclevel" + (+$(this).attr("data-toclevel")));
-                }
-                else
-                {
-                    doneMoving = true;
-                }
-            });
+// Expand a set of TOC entries.  An entry may only appear once another one has loaded its children so the first
+// one that is present and not hidden within a collapsed entry is expanded and, once its children have been
+// loaded, the rest are tried again.  Those that never appear are skipped.  The returned promise is resolved once
+// done.
+function ExpandTocEntries(tocIds)
+{
+    for(var idx = 0; idx < tocIds.length; idx++)
+    {
+        var tocDiv = FindTocEntry(tocIds[idx]);
+        var expander = tocDiv.children("a.tocCollapsed");
 
-            // Now move the existing item itself
-            tocDiv.after(existingItem);
-            existingItem.attr("data-toclevel", childLevel);
-            existingItem.attr("class", "toclevel" + childLevel);
-        }
-        else
+        if(expander.length != 0 && IsTocEntryVisible(tocDiv[0]))
         {
-            var hasChildren = elements[i].getAttribute("HasChildren");
-            var childTitle = HtmlEncode(elements[i].getAttribute("Title"));
-            var expander = "";
-
-            if(hasChildren)
-                expander = "<a class=\"tocCollapsed\" onclick=\"javascript: Toggle(this);\" href=\"#!\"></a>";
+            var expandRest = function()
+            {
+                return ExpandTocEntries(tocIds);
+            };
 
-            var text = "<div class=\"toclevel" + childTocLevel + "\" data-toclevel=\"" + childLevel + "\">" +
-                expander + "<a data-tochassubtree=\"" + hasChildren + "\" href=\"" + childHRef + "\" title=\"" +
-                childTitle + "\" tocid=\"" + childId + "\"" +
-                (childHRef == "#" ? " onclick=\"javascript: Toggle(this.previousSibling);\"" : "") + ">" +
-                childTitle + "</a></div>";
+            tocIds.splice(idx, 1);
 
-            tocDiv.after(text);
+            return Toggle(expander[0]).then(expandRest, expandRest);
         }
     }
 
-    tocDiv.attr("data-childrenloaded", true);
+    return $.Deferred().resolve().promise();
 }
 
-// Collapse a TOC entry
-function Collapse(tocDiv)
+// Find the TOC entry with the given ID
+function FindTocEntry(tocid)
 {
-    // Hide all the TOC elements after item, until we reach one with a data-toclevel less than or equal to the
-    // current item's value.
-    var tocLevel = +tocDiv.attr("data-toclevel");
-    var done = false;
-
-    tocDiv.nextAll().each(function()
+    return $("#tocNav > div").filter(function()
     {
-        if(!done && +$(this).attr("data-toclevel") > tocLevel)
-        {
-            $(this).hide();
-        }
-        else
-        {
-            done = true;
-        }
-    });
+        return $(this).children("a[tocid]").attr("tocid") == tocid;
+    }).first();
 }
 
-// Expand a TOC entry
-function Expand(tocDiv)
+// Get the ID of the current topic from its metadata
+function GetCurrentTopicId()
 {
-    // Show all the TOC elements after item, until we reach one with a data-toclevel less than or equal to the
-    // current item's value
-    var tocLevel = +tocDiv.attr("data-toclevel");
-    var done = false;
-
-    tocDiv.nextAll().each(function()
-    {
-        if(done)
-        {
-            return;
-        }
-
-        var childTocLevel = +$(this).attr("data-toclevel");
+    return $("meta[name='file']").attr("content") || $("meta[name='guid']").attr("content");
+}
 
-        if(childTocLevel == tocLevel + 1)
-        {
-            $(this).show();
+// Highlight the current topic's entry in the TOC.  This is done again whenever the entries change as only the
+// entry in the page as it was generated is marked.
+function MarkCurrentTocEntry()
+{
+    var currentId = GetCurrentTopicId();
 
-            if($(this).children("a").first().hasClass("tocExpanded"))
-            {
-                Expand($(this));
-            }
-        }
-        else if(childTocLevel > tocLevel + 1)
-        {
-            // Ignore this node, handled by recursive calls
-        }
-        else
-        {
-            done = true;
-        }
+    $("#tocNav > div").each(function()
+    {
+        $(this).toggleClass("current", currentId != null &&
+            $(this).children("a[tocid]").attr("tocid") == currentId);
     });
 }
 
-// This is called to prepare for dragging the sizer div
-function OnMouseDown(event)
+// Scroll the TOC if necessary so that the given entry can be seen
+function ScrollTocEntryIntoView(tocDiv)
 {
-    document.addEventListener("mousemove", OnMouseMove, true);
-    document.addEventListener("mouseup", OnMouseUp, true);
-    event.preventDefault();
+    var tocNav = $("#tocNav");
+
+    if(tocDiv.length == 0 || !IsTocEntryVisible(tocDiv[0]))
+        return;
+
+    var top = tocDiv.offset().top - tocNav.offset().top + tocNav.scrollTop();
+
+    if(top < tocNav.scrollTop() || top + tocDiv.outerHeight() > tocNav.scrollTop() + tocNav.height())
+        tocNav.scrollTop(top - tocNav.height() / 3);
 }
 
-// Resize the TOC as the sizer is dragged
-function OnMouseMove(event)
+// Show the link that reveals the current topic in the TOC if the current topic's entry is not where it belongs.
+// That is the case when one of its ancestors is collapsed or has not had all of its children loaded yet.
+function UpdateTocRevealLink()
 {
-    tocWidth = (event.clientX > 700) ? 700 : (event.clientX < 100) ? 100 : event.clientX;
+    var current = $("#tocNav > div.current").first();
+    var isHidden = GetTocAncestors(current).filter(function()
+    {
+        return $(this).children("a.tocCollapsed").length != 0;
+    }).length != 0;
 
-    ResizeToc();
+    $("#tocRevealLink").toggle(current.length != 0 && isHidden && unfilteredTocEntries == null);
 }
 
-// Finish the drag operation when the mouse button is released
-function OnMouseUp(event)
+// Reveal the current topic in the TOC.  The path to it is found in the full TOC and each entry along it is
+// expanded.  The current topic's entry is then scrolled into view and given the focus.
+function RevealCurrentTocEntry()
 {
-    document.removeEventListener("mousemove", OnMouseMove, true);
-    document.removeEventListener("mouseup", OnMouseUp, true);
+    var currentId = GetCurrentTopicId();
 
-    SetCookie("TocWidth", tocWidth);
-}
+    if($("#txtTocFilter").val() != "")
+    {
+        $("#txtTocFilter").val("");
+        FilterToc();
+    }
 
-// Search functions
+    LoadFullToc().done(function(data)
+    {
+        var path = [];
+        var node = $(data).find("HelpTOCNode").filter(function()
+        {
+            return GetTocNodeInfo(this).Id == currentId;
+        }).first();
 
-// Transfer to the search page from a topic
-function TransferToSearchPage()
-{
-    var searchText = document.getElementById("SearchTextBox").value.trim();
+        node.parents("HelpTOCNode").each(function()
+        {
+            path.unshift(GetTocNodeInfo(this).Id);
+        });
 
-    if(searchText.length != 0)
-        document.location.replace(encodeURI("../search.html?SearchText=" + searchText));
+        ExpandTocEntries(path).done(function()
+        {
+            var current = $("#tocNav > div.current").first();
+
+            UpdateTocRevealLink();
+            ScrollTocEntryIntoView(current);
+            SetTocTabStop(current);
+            current.children("a[tocid]").focus();
+        });
+    });
 }
 
-// Initiate a search when the search page loads
-function OnSearchPageLoad()
+// Add the filter box above the TOC
+function InitializeTocFilter()
 {
-    var queryString = decodeURI(document.location.search);
+    var tocNav = $("#tocNav");
 
-    if(queryString != "")
+    if(tocNav.length == 0)
+        return;
+
+    var filter = $("<div id=\"tocFilter\"><input type=\"text\" id=\"txtTocFilter\" autocomplete=\"off\" " +
+        "placeholder=\"Filter the table of contents\" title=\"Filter the table of contents\" />" +
+        "<div id=\"tocFilterNoMatches\" style=\"display: none\">No matching topics</div>" +
+        "<a id=\"tocRevealLink\" href=\"#!\" style=\"display: none\" onclick=\"javascript: " +
+        "RevealCurrentTocEntry(); return false;\">Reveal in TOC</a></div>");
+
+    // Filter the TOC when the user pauses while typing.  Escape clears the filter.
+    filter.children("input").on("input", function()
     {
-        var idx, options = queryString.split(/[\?\=\&]/);
+        clearTimeout(tocFilterTimer);
+        tocFilterTimer = setTimeout(FilterToc, 300);
+    }).on("keydown", function(event)
+    {
+        if(event.keyCode == 27)
+        {
+            $(this).val("");
+            clearTimeout(tocFilterTimer);
+            FilterToc();
+        }
+    });
 
-        for(idx = 0; idx < options.length; idx++)
-            if(options[idx] == "SearchText" && idx + 1 < options.length)
-            {
-                document.getElementById("txtSearchText").value = options[idx + 1];
-                PerformSearch();
-                break;
-            }
-    }
+    tocNav.before(filter);
 }
 
-// Perform a search using the best available method
-function PerformSearch()
+// Narrow the TOC to the entries with titles containing the filter text and their ancestors.  The whole TOC is
+// loaded from WebTOC.xml so that entries whose parents have not been loaded yet can be found too.  When the
+// filter is cleared, the TOC is put back the way it was.
+function FilterToc()
 {
-    var searchText = document.getElementById("txtSearchText").value;
-    var sortByTitle = document.getElementById("chkSortByTitle").checked;
-    var searchResults = document.getElementById("searchResults");
+    var filterText = $.trim($("#txtTocFilter").val()).toLowerCase();
+    var tocNav = $("#tocNav");
 
-    if(searchText.length == 0)
+    if(filterText == "")
     {
-        searchResults.innerHTML = "<strong>Nothing found</strong>";
+        if(unfilteredTocEntries != null)
+        {
+            tocNav.empty().append(unfilteredTocEntries);
+            unfilteredTocEntries = null;
+            SetTocTreeAttributes();
+            UpdateTocRevealLink();
+        }
+
+        $("#tocFilterNoMatches").hide();
         return;
     }
 
-    searchResults.innerHTML = "Searching...";
+    LoadFullToc().done(function(data)
+    {
+        // Ignore the results if the filter was changed while the TOC was loading
+        if($.trim($("#txtTocFilter").val()).toLowerCase() != filterText)
+            return;
 
-    // Determine the search method if not done already.  The ASPX and PHP searches are more efficient as they
-    // run asynchronously server-side.  If they can't be used, it defaults to the client-side script below which
-    // will work but has to download the index files.  For large help sites, this can be inefficient.
-    if(searchMethod == 0)
-        searchMethod = DetermineSearchMethod();
+        if(unfilteredTocEntries == null)
+            unfilteredTocEntries = tocNav.children().detach();
+
+        var entries = BuildFilteredTocEntries($(data.documentElement).children("HelpTOCNode"), 0, filterText);
 
-    if(searchMethod == 1)
+        tocNav.html(entries.Html);
+        SetTocTreeAttributes();
+        UpdateTocRevealLink();
+        $("#tocFilterNoMatches").toggle(entries.MatchCount == 0);
+    });
+}
+
+// Load the full TOC.  The returned promise is resolved with the XML document.
+function LoadFullToc()
+{
+    if(fullToc == null)
     {
-        $.ajax({
+        fullToc = $.ajax({
             type: "GET",
-            url: encodeURI("SearchHelp.aspx?Keywords=" + searchText + "&SortByTitle=" + sortByTitle),
-            success: function(html)
+            url: "../WebTOC.xml",
+            dataType: "xml"
+        });
+
+        // Try again the next time if it could not be loaded
+        fullToc.fail(function()
+        {
+            fullToc = null;
+        });
+    }
+
+    return fullToc;
+}
+
+// Build the TOC entries for a set of nodes from the full TOC and their children.  An entry is only visible if
+// its title contains the filter text or one of its descendants does.  Entries with a matching descendant are
+// expanded and all others are collapsed so that the normal expand and collapse behavior still works on the
+// filtered TOC.  The result contains the HTML and the number of matching entries.
+function BuildFilteredTocEntries(nodes, level, filterText)
+{
+    var tocLevel = level >= 10 ? 10 : level;
+    var currentId = GetCurrentTopicId();
+    var entries = { Html: "", MatchCount: 0 };
+
+    nodes.each(function()
+    {
+        var title = this.getAttribute("Title"), info = GetTocNodeInfo(this);
+        var href = info.HRef, tocid = info.Id;
+        var childNodes = $(this).children("HelpTOCNode");
+        var children = BuildFilteredTocEntries(childNodes, level + 1, filterText);
+        var isMatch = (title.toLowerCase().indexOf(filterText) != -1);
+        var expander = "";
+
+        if(childNodes.length != 0)
+            expander = "<a class=\"" + (children.MatchCount != 0 ? "tocExpanded" : "tocCollapsed") +
+                "\" onclick=\"javascript: Toggle(this);\" href=\"#!\"></a>";
+
+        entries.Html += "<div class=\"toclevel" + tocLevel + (tocid == currentId ? " current" : "") +
+            "\" data-toclevel=\"" + level + "\"" +
+            (childNodes.length != 0 ? " data-childrenloaded=\"true\"" : "") +
+            (isMatch || children.MatchCount != 0 ? "" : " style=\"display: none\"") + ">" + expander +
+            "<a data-tochassubtree=\"" + (childNodes.length != 0) + "\" href=\"" + href + "\" title=\"" +
+            HtmlEncode(title) + "\" tocid=\"" + tocid + "\"" +
+            (href == "#" ? " onclick=\"javascript: Toggle(this.previousSibling);\"" : "") + ">" +
+            HighlightTocFilterText(title, filterText) + "</a></div>" + children.Html;
+
+        entries.MatchCount += children.MatchCount + (isMatch ? 1 : 0);
+    });
+
+    return entries;
+}
+
+// Load the TOC file containing the children of a TOC entry.  The returned promise is resolved with the XML
+// document.
+function LoadTocFile(tocid)
+{
+    if(!tocFileCache.hasOwnProperty(tocid))
+    {
+        tocFileCache[tocid] = $.ajax({
+            url: "../toc/" + tocid + ".xml",
+            async: true,
+            dataType: "xml"
+        });
+
+        // Try again the next time if it could not be loaded
+        tocFileCache[tocid].fail(function()
+        {
+            delete tocFileCache[tocid];
+        });
+    }
+
+    return tocFileCache[tocid];
+}
+
+// Add a breadcrumb trail above the topic title showing the path to the topic in the TOC.  The TOC entries in
+// the page as it was generated include the topic's ancestors so they are used to find the path.  Each step
+// along it is confirmed with the TOC file of the parent entry so only a few small files are loaded rather than
+// the full TOC.  This must be called before any entries are expanded as that moves them around.
+function InitializeBreadcrumb()
+{
+    var currentId = GetCurrentTopicId(), root = FindTocEntry("roottoc"), candidates = [];
+
+    if(currentId == null || root.length == 0 || $("#TopicContent").length == 0)
+        return;
+
+    root.nextAll().each(function()
+    {
+        var tocid = $(this).children("a[tocid]").attr("tocid");
+
+        if(tocid == currentId)
+            return false;
+
+        candidates.push(tocid);
+    });
+
+    // The root entry just links to the first topic so it is not part of the trail.  There's no trail for the
+    // top level topics.
+    FindTocPath("roottoc", candidates, currentId, []).done(function(path)
+    {
+        if(path.length < 2)
+            return;
+
+        var crumbs = $.map(path, function(crumb, idx)
+        {
+            var title = HtmlEncode($.trim(crumb.Title));
+
+            if(idx == path.length - 1)
+                return "<span aria-current=\"page\">" + title + "</span>";
+
+            if(crumb.HRef == "#")
+                return "<span>" + title + "</span>";
+
+            return "<a href=\"" + crumb.HRef + "\">" + title + "</a>";
+        });
+
+        $("#TopicContent").prepend("<div class=\"breadcrumb\" role=\"navigation\" aria-label=\"Breadcrumb\">" +
+            crumbs.join("<span class=\"breadcrumbSeparator\" aria-hidden=\"true\"> &gt; </span>") + "</div>");
+    });
+}
+
+// Find the path from a TOC entry down to the current topic.  The candidates are the IDs of the entries that
+// may be on the path in order from the top.  The parent's TOC file is loaded and if the current topic is not
+// one of its children, the first candidate that is becomes the next step.  The entries along the way are
+// added to the path.  The returned promise is rejected if no path is found.
+function FindTocPath(parentId, candidates, currentId, path)
+{
+    return LoadTocFile(parentId).then(function(data)
+    {
+        var children = {};
+
+        $(data.documentElement).children("HelpTOCNode").each(function()
+        {
+            var info = GetTocNodeInfo(this);
+
+            children[info.Id] = { Title: this.getAttribute("Title"), HRef: info.HRef };
+        });
+
+        if(children.hasOwnProperty(currentId))
+        {
+            path.push(children[currentId]);
+            return path;
+        }
+
+        for(var idx = 0; idx < candidates.length; idx++)
+            if(children.hasOwnProperty(candidates[idx]))
+            {
+                path.push(children[candidates[idx]]);
+                return FindTocPath(candidates[idx], candidates.slice(idx + 1), currentId, path);
+            }
+
+        return $.Deferred().reject().promise();
+    });
+}
+
+// Add links to the previous and next topics in TOC order above and below the topic.  Alt+Left and Alt+Right
+// can be used to go to them as well.
+function InitializeTopicNavigation()
+{
+    var currentId = GetCurrentTopicId();
+
+    if(currentId == null || $("#TopicContent").length == 0)
+        return;
+
+    LoadTocOrder().done(function(topics)
+    {
+        var idx, previous = null, next = null;
+
+        for(idx = 0; idx < topics.length; idx++)
+            if(topics[idx].Id == currentId)
+            {
+                previous = (idx > 0) ? topics[idx - 1] : null;
+                next = (idx < topics.length - 1) ? topics[idx + 1] : null;
+                break;
+            }
+
+        if(previous == null && next == null)
+            return;
+
+        var links = "<div class=\"topicNavigation\" role=\"navigation\" aria-label=\"Previous and next topics\">" +
+            (previous == null ? "" : "<a class=\"previousTopic\" rel=\"prev\" href=\"" + previous.HRef +
+            "\" title=\"" + HtmlEncode(previous.Title) + " (Alt+Left)\">&lt; Previous</a>") +
+            (next == null ? "" : "<a class=\"nextTopic\" rel=\"next\" href=\"" + next.HRef + "\" title=\"" +
+            HtmlEncode(next.Title) + " (Alt+Right)\">Next &gt;</a>") + "</div>";
+
+        $("#TopicContent > table.titleTable").first().before(links);
+        $("#TopicContent").append(links);
+
+        $(document).on("keydown", function(event)
+        {
+            var topic = (event.keyCode == 37) ? previous : (event.keyCode == 39) ? next : null;
+
+            // Leave the keys alone while editing text
+            if(topic == null || !event.altKey || event.ctrlKey || event.shiftKey || event.metaKey ||
+              $(event.target).is("input, textarea, select"))
+            {
+                return;
+            }
+
+            event.preventDefault();
+            window.location.href = topic.HRef;
+        });
+    });
+}
+
+// Add an outline of the topic's sections beside it.  Only topics with several sections get one.  The section
+// currently being read is highlighted as the page scrolls.
+function InitializePageOutline()
+{
+    var sections = GetPageSections();
+
+    if(sections.length < 3)
+        return;
+
+    var outline = "<div id=\"pageOutline\" role=\"navigation\" aria-label=\"On this page\">" +
+        "<div class=\"pageOutlineTitle\">On this page</div><ul>";
+
+    $.each(sections, function(idx, section)
+    {
+        outline += "<li><a href=\"#" + section.Prefix + "\" data-sectionprefix=\"" + section.Prefix +
+            "\" onclick=\"javascript: ShowPageSection(this.getAttribute('data-sectionprefix')); " +
+            "return false;\">" + HtmlEncode(section.Title) + "</a></li>";
+    });
+
+    $(".pageBody").append(outline + "</ul></div>");
+    $("body").addClass("hasPageOutline");
+
+    $(window).on("scroll resize", UpdatePageOutline);
+    UpdatePageOutline();
+}
+
+// Get the collapsible sections of the topic.  Each has the prefix used by SectionExpandCollapse to find its
+// toggle image and content, its title, and the element containing the title.
+function GetPageSections()
+{
+    return $("#TopicContent .collapsibleAreaRegion > .collapsibleRegionTitle").map(function()
+    {
+        var toggle = $(this).children("img.collapseToggle");
+        var prefix = (toggle.length == 0) ? "" : toggle.attr("id").replace(/Toggle$/, "");
+
+        if(prefix == "" || document.getElementById(prefix + "Section") == null)
+            return null;
+
+        return { Prefix: prefix, Title: $.trim($(this).text()), Element: this };
+    }).get();
+}
+
+// Scroll to a section of the topic, expanding it first if it is collapsed
+function ShowPageSection(prefix)
+{
+    var section = document.getElementById(prefix + "Section");
+    var toggle = document.getElementById(prefix + "Toggle");
+
+    if(section == null || toggle == null)
+        return;
+
+    SetSectionExpanded(prefix, true);
+    toggle.parentNode.scrollIntoView();
+    UpdatePageOutline();
+}
+
+// Highlight the outline entry of the section being read.  That's the last one with its title above a point
+// near the top of the window.
+function UpdatePageOutline()
+{
+    var sections = GetPageSections(), active = null;
+
+    $.each(sections, function(idx, section)
+    {
+        if(active == null || section.Element.getBoundingClientRect().top <= 100)
+            active = section.Prefix;
+    });
+
+    $("#pageOutline a").each(function()
+    {
+        var isActive = ($(this).attr("data-sectionprefix") == active);
+
+        $(this).toggleClass("active", isActive);
+
+        if(isActive)
+            $(this).attr("aria-current", "location");
+        else
+            $(this).removeAttr("aria-current");
+    });
+}
+
+// Load the topics in the order that they appear in the TOC.  The full TOC is only loaded once per session as
+// the order is saved in session storage if possible.  It is too big for a cookie.  The returned promise is
+// resolved with the list of topics.
+function LoadTocOrder()
+{
+    var name = GetTocStateName("TocOrder"), topics = null;
+
+    if(SessionStorage.IsAvailable())
+        topics = SessionStorage.Load(name);
+
+    if(topics != null)
+        return $.Deferred().resolve(JSON.parse(topics)).promise();
+
+    return LoadFullToc().then(function(data)
+    {
+        topics = [];
+
+        // The nodes are found in document order which is depth-first order.  Empty container nodes have no
+        // topic of their own so they are skipped.
+        $(data).find("HelpTOCNode").each(function()
+        {
+            var info = GetTocNodeInfo(this);
+
+            if(info.HRef != "#")
+                topics.push({ Id: info.Id, Title: $.trim(this.getAttribute("Title")), HRef: info.HRef });
+        });
+
+        try
+        {
+            if(SessionStorage.IsAvailable())
+                SessionStorage.Save(name, JSON.stringify(topics));
+        }
+        catch(e)
+        {
+            // Session storage may be full
+        }
+
+        return topics;
+    });
+}
+
+// Get the ID and link of a node from the full TOC in the same form used by the TOC entries
+function GetTocNodeInfo(node)
+{
+    var url = node.getAttribute("Url");
+
+    // The Url attribute has the form "html/{id}.htm".  Empty container nodes have no URL and use their raw ID.
+    if(url != null && url.length > 5)
+        return { Id: url.substring(5, url.lastIndexOf(".")), HRef: url.substring(5, url.length) };
+
+    return { Id: node.getAttribute("Id"), HRef: "#" };
+}
+
+// HTML encode a TOC entry title and highlight each occurrence of the filter text in it
+function HighlightTocFilterText(title, filterText)
+{
+    var html = "", start = 0, idx;
+
+    while((idx = title.toLowerCase().indexOf(filterText, start)) != -1)
+    {
+        html += HtmlEncode(title.substring(start, idx)) + "<span class=\"highlight\">" +
+            HtmlEncode(title.substring(idx, idx + filterText.length)) + "</span>";
+        start = idx + filterText.length;
+    }
+
+    return html + HtmlEncode(title.substring(start));
+}
+
+// HTML encode a value for use on the page
+function HtmlEncode(value)
+{
+    // Create an in-memory div, set it's inner text (which jQuery automatically encodes) then grab the encoded
+    // contents back out.  The div never exists on the page.
+    return $('<div/>').text(value).html();
+}
+
+// Build the child entries of a TOC entry
+function BuildChildren(tocDiv, data)
+{
+    var childLevel = +tocDiv.attr("data-toclevel") + 1;
+    var childTocLevel = childLevel >= 10 ? 10 : childLevel;
+    var elements = data.getElementsByTagName("HelpTOCNode");
+
+    var isRoot = true;
+
+    if(data.getElementsByTagName("HelpTOC").length == 0)
+    {
+        // The first node is the root node of this group, don't show it again
+        isRoot = false;
+    }
+
+    for(var i = elements.length - 1; i > 0 || (isRoot && i == 0); i--)
+    {
+        var childHRef, childId = elements[i].getAttribute("Url");
+
+        if(childId != null && childId.length > 5)
+        {
+            // The Url attribute has the form "html/{childId}.htm"
+            childHRef = childId.substring(5, childId.length);
+            childId = childId.substring(5, childId.lastIndexOf("."));
+        }
+        else
+        {
+            // The Id attribute is in raw form.  There is no URL (empty container node).  In this case, we'll
+            // just ignore it and go nowhere.  It's a rare case that isn't worth trying to get the first child.
+            // Instead, we'll just expand the node (see below).
+            childHRef = "#";
+            childId = elements[i].getAttribute("Id");
+        }
+
+        var existingItem = null;
+
+        tocDiv.nextAll().each(function()
+        {
+            if(!existingItem && $(this).children().last("a").attr("tocid") == childId)
+            {
+                existingItem = $(this);
+            }
+        });
+
+        if(existingItem != null)
+        {
+            // First move the children of the existing item
+            var existingChildLevel = +existingItem.attr("data-toclevel");
+            var doneMoving = false;
+            var inserter = tocDiv;
+
+            existingItem.nextAll().each(function()
+            {
+                if(!doneMoving && +$(this).attr("data-toclevel") > existingChildLevel)
+                {
+                    inserter.after($(this));
+                    inserter = $(this);
+                    $(this).attr("data-toclevel", +$(this).attr("data-toclevel") + childLevel - existingChildLevel);
+
+                    if($(this).hasClass("current"))
+                        $(this).attr("class", "toclevel" + (+$(this).attr("data-toclevel") + " current"));
+                    else
+                        $(this).attr("class", "toclevel" + (+$(this).attr("data-toclevel")));
+                }
+                else
+                {
+                    doneMoving = true;
+                }
+            });
+
+            // Now move the existing item itself
+            tocDiv.after(existingItem);
+            existingItem.attr("data-toclevel", childLevel);
+            existingItem.attr("class", "toclevel" + childTocLevel);
+        }
+        else
+        {
+            var hasChildren = elements[i].getAttribute("HasChildren");
+            var childTitle = HtmlEncode(elements[i].getAttribute("Title"));
+            var expander = "";
+
+            if(hasChildren)
+                expander = "<a class=\"tocCollapsed\" onclick=\"javascript: Toggle(this);\" href=\"#!\"></a>";
+
+            var text = "<div class=\"toclevel" + childTocLevel + "\" data-toclevel=\"" + childLevel + "\">" +
+                expander + "<a data-tochassubtree=\"" + hasChildren + "\" href=\"" + childHRef + "\" title=\"" +
+                childTitle + "\" tocid=\"" + childId + "\"" +
+                (childHRef == "#" ? " onclick=\"javascript: Toggle(this.previousSibling);\"" : "") + ">" +
+                childTitle + "</a></div>";
+
+            tocDiv.after(text);
+        }
+    }
+
+    tocDiv.attr("data-childrenloaded", true);
+    MarkCurrentTocEntry();
+    SetTocTreeAttributes();
+    UpdateTocRevealLink();
+}
+
+// Collapse a TOC entry
+function Collapse(tocDiv)
+{
+    // Hide all the TOC elements after item, until we reach one with a data-toclevel less than or equal to the
+    // current item's value.
+    var tocLevel = +tocDiv.attr("data-toclevel");
+    var done = false;
+
+    tocDiv.nextAll().each(function()
+    {
+        if(!done && +$(this).attr("data-toclevel") > tocLevel)
+        {
+            $(this).hide();
+        }
+        else
+        {
+            done = true;
+        }
+    });
+}
+
+// Expand a TOC entry
+function Expand(tocDiv)
+{
+    // Show all the TOC elements after item, until we reach one with a data-toclevel less than or equal to the
+    // current item's value
+    var tocLevel = +tocDiv.attr("data-toclevel");
+    var done = false;
+
+    tocDiv.nextAll().each(function()
+    {
+        if(done)
+        {
+            return;
+        }
+
+        var childTocLevel = +$(this).attr("data-toclevel");
+
+        if(childTocLevel == tocLevel + 1)
+        {
+            $(this).show();
+
+            if($(this).children("a").first().hasClass("tocExpanded"))
+            {
+                Expand($(this));
+            }
+        }
+        else if(childTocLevel > tocLevel + 1)
+        {
+            // Ignore this node, handled by recursive calls
+        }
+        else
+        {
+            done = true;
+        }
+    });
+}
+
+// Expose the TOC to assistive technologies as a tree.  The entries are a flat list rather than nested lists so
+// the depth of each one is given by its level.  Each entry with children on the page gets an empty group
+// element that takes ownership of them so that they are nested within it in the accessibility tree.  The
+// expanders are only there for the mouse as the arrow keys do the same thing.  This must be called whenever
+// entries are added, moved, expanded, or collapsed.
+function SetTocTreeAttributes()
+{
+    var tocNav = $("#tocNav"), parents = [];
+
+    tocNav.attr({ "role": "tree", "aria-label": "Table of contents" });
+
+    tocNav.children("div").each(function()
+    {
+        var tocDiv = $(this), link = tocDiv.children("a[tocid]");
+        var expander = tocDiv.children("a.tocExpanded, a.tocCollapsed");
+        var tocLevel = +tocDiv.attr("data-toclevel");
+
+        // The parent is the nearest entry above this one with a lower level.  Those in between have no more
+        // children.
+        while(parents.length != 0 && parents[parents.length - 1].Level >= tocLevel)
+            SetTocGroup(parents.pop());
+
+        if(parents.length != 0)
+            parents[parents.length - 1].Children.push("tocItem_" + link.attr("tocid"));
+
+        parents.push({ Entry: tocDiv, Link: link, Level: tocLevel, Children: [] });
+
+        tocDiv.attr("role", "none");
+        link.attr("id", "tocItem_" + link.attr("tocid"));
+        expander.attr({ "tabindex": "-1", "aria-hidden": "true" });
+        link.attr({ "role": "treeitem", "aria-level": +tocDiv.attr("data-toclevel") + 1 });
+
+        if(expander.length != 0)
+            link.attr("aria-expanded", expander.hasClass("tocExpanded") ? "true" : "false");
+
+        if(tocDiv.hasClass("current"))
+            link.attr("aria-current", "page");
+        else
+            link.removeAttr("aria-current");
+
+        if(link.attr("tabindex") != "0")
+            link.attr("tabindex", "-1");
+    });
+
+    $.each(parents, function(idx, parent)
+    {
+        SetTocGroup(parent);
+    });
+
+    // Only one entry is in the tab order.  If it has been hidden by collapsing one of its ancestors, its
+    // nearest visible ancestor takes its place.  If there isn't one yet, the current topic's entry is used.
+    var tabStop = tocNav.children("div").has("a[tocid][tabindex='0']").first();
+
+    if(tabStop.length != 0 && !IsTocEntryVisible(tabStop[0]))
+        tabStop = GetTocAncestors(tabStop).filter(function()
+        {
+            return IsTocEntryVisible(this);
+        }).last();
+
+    if(tabStop.length == 0)
+        tabStop = tocNav.children("div.current");
+
+    if(tabStop.length == 0 || !IsTocEntryVisible(tabStop[0]))
+        tabStop = GetVisibleTocEntries().first();
+
+    SetTocTabStop(tabStop);
+}
+
+// Add the group element that owns the children of a TOC entry once they are known or remove it if the entry
+// has no children on the page.
+function SetTocGroup(parent)
+{
+    var group = parent.Entry.children("div[role='group']");
+
+    if(parent.Children.length == 0)
+    {
+        group.remove();
+        parent.Link.removeAttr("aria-owns");
+        return;
+    }
+
+    if(group.length == 0)
+        group = $("<div role=\"group\"></div>").appendTo(parent.Entry);
+
+    group.attr({ "id": "tocGroup_" + parent.Link.attr("tocid"), "aria-owns": parent.Children.join(" ") });
+    parent.Link.attr("aria-owns", group.attr("id"));
+}
+
+// Make a TOC entry the one that is in the tab order
+function SetTocTabStop(tocDiv)
+{
+    $("#tocNav a[tocid][tabindex='0']").attr("tabindex", "-1");
+    tocDiv.children("a[tocid]").attr("tabindex", "0");
+}
+
+// See if a TOC entry is visible.  Entries are hidden when one of their ancestors is collapsed or when they do
+// not match the TOC filter.
+function IsTocEntryVisible(tocDiv)
+{
+    return tocDiv.style.display != "none";
+}
+
+// Get the TOC entries that are currently visible
+function GetVisibleTocEntries()
+{
+    return $("#tocNav > div").filter(function()
+    {
+        return IsTocEntryVisible(this);
+    });
+}
+
+// Handle keyboard navigation within the TOC.  The up and down arrows move between the visible entries and Home
+// and End move to the first and last ones.  The right arrow expands an entry or moves to its first child if
+// already expanded.  The left arrow collapses an entry or moves to its parent if already collapsed.  Typing
+// letters or numbers moves to the next entry with a title that starts with them.
+function OnTocKeyDown(event)
+{
+    var tocDiv = $(this).parent(), entries = GetVisibleTocEntries(), idx = entries.index(tocDiv[0]);
+    var expander = tocDiv.children("a.tocExpanded, a.tocCollapsed"), target = null;
+
+    if(event.altKey || event.ctrlKey || event.metaKey)
+        return;
+
+    switch(event.keyCode)
+    {
+        case 40:    // Down
+            target = entries.eq(idx + 1);
+            break;
+
+        case 38:    // Up
+            if(idx > 0)
+                target = entries.eq(idx - 1);
+            break;
+
+        case 36:    // Home
+            target = entries.first();
+            break;
+
+        case 35:    // End
+            target = entries.last();
+            break;
+
+        case 39:    // Right
+            if(expander.hasClass("tocCollapsed"))
+                Toggle(expander[0]);
+            else
+                if(expander.length != 0 && +entries.eq(idx + 1).attr("data-toclevel") >
+                  +tocDiv.attr("data-toclevel"))
+                {
+                    target = entries.eq(idx + 1);
+                }
+            break;
+
+        case 37:    // Left
+            if(expander.hasClass("tocExpanded"))
+                Toggle(expander[0]);
+            else
+                target = GetTocAncestors(tocDiv).last();
+            break;
+
+        default:
+            if((event.keyCode >= 48 && event.keyCode <= 57) || (event.keyCode >= 65 && event.keyCode <= 90))
+            {
+                target = FindTocEntryByTypeAhead(entries, idx, String.fromCharCode(event.keyCode));
+                break;
+            }
+
+            return;
+    }
+
+    event.preventDefault();
+
+    if(target != null && target.length != 0)
+    {
+        SetTocTabStop(target);
+        target.children("a[tocid]").focus();
+    }
+}
+
+// Find the next visible TOC entry with a title starting with the characters typed so far.  The search starts
+// with the entry after the given one unless more characters are being added to the same search, in which case
+// the given entry may still match.  It wraps around to the first entry if necessary.
+function FindTocEntryByTypeAhead(entries, idx, character)
+{
+    var start = (tocTypeAheadText == "") ? idx + 1 : idx;
+
+    clearTimeout(tocTypeAheadTimer);
+    tocTypeAheadTimer = setTimeout(function()
+    {
+        tocTypeAheadText = "";
+    }, 500);
+
+    tocTypeAheadText += character.toLowerCase();
+
+    for(var offset = 0; offset < entries.length; offset++)
+    {
+        var entry = entries.eq((start + offset) % entries.length);
+        var title = entry.children("a[tocid]").attr("title") || "";
+
+        if(title.toLowerCase().substring(0, tocTypeAheadText.length) == tocTypeAheadText)
+            return entry;
+    }
+
+    return null;
+}
+
+// Set up the drawer used to show the TOC in narrow windows.  The pages do not have a viewport setting so one
+// is added to let phones and tablets use their actual width rather than that of a desktop window.  The sizer
+// is also set up so that it can be dragged with a touch or a pen as well as the mouse.
+function InitializeTocDrawer()
+{
+    var sizer = document.getElementById("tocResizableEW");
+
+    if(document.getElementById("leftNav") == null)
+        return;
+
+    if($("meta[name='viewport']").length == 0)
+        $("head").append("<meta name=\"viewport\" content=\"width=device-width, initial-scale=1\" />");
+
+    $("#PageHeader").prepend("<button id=\"tocDrawerToggle\" type=\"button\" aria-controls=\"leftNav\" " +
+        "aria-expanded=\"false\" title=\"Table of contents\" onclick=\"javascript: ToggleTocDrawer(" +
+        "!$('body').hasClass('tocDrawerOpen'));\">&#9776;</button>");
+    $("body").append("<div id=\"tocDrawerOverlay\" onclick=\"javascript: ToggleTocDrawer(false);\"></div>");
+
+    // Escape closes the drawer unless it is being used to clear the TOC filter
+    $(document).on("keydown", function(event)
+    {
+        if(event.keyCode == 27 && $("body").hasClass("tocDrawerOpen") && event.target.id != "txtTocFilter")
+        {
+            ToggleTocDrawer(false);
+            $("#tocDrawerToggle").focus();
+        }
+    });
+
+    if(sizer != null)
+        if(window.PointerEvent)
+            sizer.addEventListener("pointerdown", OnPointerDown, false);
+        else
+            sizer.addEventListener("touchstart", OnTouchStart, false);
+}
+
+// Switch the TOC between its normal layout and a drawer based on the width of the window.  The return value
+// indicates whether or not it is shown as a drawer.
+function UpdateTocDrawerMode()
+{
+    var isDrawer = $(window).width() < tocDrawerWindowWidth;
+
+    $("body").toggleClass("tocDrawerMode", isDrawer);
+
+    if(!isDrawer)
+        ToggleTocDrawer(false);
+
+    return isDrawer;
+}
+
+// Get the width of the TOC when shown as a drawer.  It uses the width chosen by the user but always leaves some
+// of the topic showing so that the drawer can be closed by tapping it.
+function GetTocDrawerWidth()
+{
+    return Math.min(tocWidth > 0 ? tocWidth : 280, $(window).width() - 40);
+}
+
+// Open or close the TOC drawer.  When opened, the focus moves to the TOC.
+function ToggleTocDrawer(open)
+{
+    $("body").toggleClass("tocDrawerOpen", open);
+    $("#tocDrawerToggle").attr("aria-expanded", open ? "true" : "false");
+
+    if(open)
+    {
+        SetNavHeight();
+        $("#tocNav a[tocid][tabindex='0']").focus();
+    }
+}
+
+// Set the TOC width from the position of the sizer as it is dragged
+function SetTocWidthFromPosition(position)
+{
+    tocWidth = (position > 700) ? 700 : (position < 100) ? 100 : position;
+
+    ResizeToc();
+}
+
+// Save the TOC width once the sizer has been dragged.  The width of the drawer is only changed for the current
+// page so that it does not affect the width used in wider windows.
+function SaveTocWidth()
+{
+    if(!$("body").hasClass("tocDrawerMode"))
+        SetCookie("TocWidth", tocWidth);
+}
+
+// This is called to prepare for dragging the sizer div
+function OnMouseDown(event)
+{
+    document.addEventListener("mousemove", OnMouseMove, true);
+    document.addEventListener("mouseup", OnMouseUp, true);
+    event.preventDefault();
+}
+
+// Resize the TOC as the sizer is dragged
+function OnMouseMove(event)
+{
+    SetTocWidthFromPosition(event.clientX);
+}
+
+// Finish the drag operation when the mouse button is released
+function OnMouseUp(event)
+{
+    document.removeEventListener("mousemove", OnMouseMove, true);
+    document.removeEventListener("mouseup", OnMouseUp, true);
+
+    SaveTocWidth();
+}
+
+// This is called to prepare for dragging the sizer div with a touch or a pen.  The mouse is handled by
+// OnMouseDown.
+function OnPointerDown(event)
+{
+    if(event.pointerType == "mouse")
+        return;
+
+    document.addEventListener("pointermove", OnPointerMove, true);
+    document.addEventListener("pointerup", OnPointerUp, true);
+    document.addEventListener("pointercancel", OnPointerUp, true);
+    event.preventDefault();
+}
+
+// Resize the TOC as the sizer is dragged with a touch or a pen
+function OnPointerMove(event)
+{
+    SetTocWidthFromPosition(event.clientX);
+}
+
+// Finish the drag operation when the touch or pen is lifted
+function OnPointerUp(event)
+{
+    document.removeEventListener("pointermove", OnPointerMove, true);
+    document.removeEventListener("pointerup", OnPointerUp, true);
+    document.removeEventListener("pointercancel", OnPointerUp, true);
+
+    SaveTocWidth();
+}
+
+// This is called to prepare for dragging the sizer div with a touch in browsers without pointer events
+function OnTouchStart(event)
+{
+    document.addEventListener("touchmove", OnTouchMove, { capture: true, passive: false });
+    document.addEventListener("touchend", OnTouchEnd, true);
+    document.addEventListener("touchcancel", OnTouchEnd, true);
+    event.preventDefault();
+}
+
+// Resize the TOC as the sizer is dragged with a touch.  This keeps the page from scrolling at the same time.
+function OnTouchMove(event)
+{
+    SetTocWidthFromPosition(event.touches[0].clientX);
+    event.preventDefault();
+}
+
+// Finish the drag operation when the touch ends
+function OnTouchEnd(event)
+{
+    document.removeEventListener("touchmove", OnTouchMove, true);
+    document.removeEventListener("touchend", OnTouchEnd, true);
+    document.removeEventListener("touchcancel", OnTouchEnd, true);
+
+    SaveTocWidth();
+}
+
+// Search functions
+
+// Transfer to the search page from a topic
+function TransferToSearchPage()
+{
+    var searchText = document.getElementById("SearchTextBox").value.trim();
+
+    if(searchText.length != 0)
+        document.location.replace(encodeURI("../search.html?SearchText=" + searchText));
+}
+
+// Hook up the search suggestions shown as the user types in the page header's search box
+function InitializeSearchSuggestions()
+{
+    var searchBox = $("#SearchTextBox");
+
+    if(searchBox.length == 0)
+        return;
+
+    var list = $("<ul id=\"SearchSuggestions\" class=\"searchSuggestions\" role=\"listbox\"></ul>").hide();
+
+    // Keep the focus in the search box when a suggestion is clicked
+    list.on("mousedown", function(event)
+    {
+        event.preventDefault();
+    });
+
+    $("#SearchForm").append(list);
+
+    searchBox.attr({ "autocomplete": "off", "role": "combobox", "aria-autocomplete": "list",
+        "aria-owns": "SearchSuggestions", "aria-expanded": "false" });
+    searchBox.on("input", ShowSearchSuggestions);
+    searchBox.on("keydown", OnSearchSuggestionKeyDown);
+    searchBox.on("blur", HideSearchSuggestions);
+}
+
+// Show the topics that match the text in the page header's search box
+function ShowSearchSuggestions()
+{
+    var searchText = $.trim($("#SearchTextBox").val());
+
+    if(searchText.length < 2)
+    {
+        HideSearchSuggestions();
+        return;
+    }
+
+    LoadSearchSuggestions().done(function(topics)
+    {
+        // Ignore the results if the text changed while the suggestions were loading
+        if($.trim($("#SearchTextBox").val()) != searchText)
+            return;
+
+        var matches = FindSearchSuggestions(topics, searchText, 10);
+        var keywords = ParseKeywords(searchText);
+        var list = $("#SearchSuggestions").empty();
+
+        $.each(matches, function(idx, topic)
+        {
+            list.append("<li id=\"SearchSuggestion" + idx + "\" role=\"option\"><a href=\"../" + topic.Url +
+                "\">" + HighlightText(topic.Title, keywords) + "</a></li>");
+        });
+
+        list.append("<li id=\"SearchSuggestion" + matches.length + "\" class=\"searchAll\" role=\"option\">" +
+            "<a href=\"#!\" onclick=\"javascript: TransferToSearchPage(); return false;\">Search all topics for " +
+            "\"" + HtmlEncode(searchText) + "\"</a></li>");
+
+        list.show();
+        $("#SearchTextBox").attr("aria-expanded", "true").removeAttr("aria-activedescendant");
+    });
+}
+
+// Hide the search suggestions
+function HideSearchSuggestions()
+{
+    $("#SearchSuggestions").hide().empty();
+    $("#SearchTextBox").attr("aria-expanded", "false").removeAttr("aria-activedescendant");
+}
+
+// Handle keyboard navigation of the search suggestions.  Up and down move the selection, Enter goes to the
+// selected topic or the search page, and Escape closes the list.
+function OnSearchSuggestionKeyDown(event)
+{
+    var items = $("#SearchSuggestions").children();
+    var selected = items.index(items.filter(".selected"));
+
+    if(items.length == 0)
+        return;
+
+    switch(event.keyCode)
+    {
+        case 38:    // Up
+            selected = (selected <= 0) ? items.length - 1 : selected - 1;
+            break;
+
+        case 40:    // Down
+            selected = (selected + 1) % items.length;
+            break;
+
+        case 13:    // Enter
+            if(selected != -1)
+            {
+                event.preventDefault();
+
+                if(items.eq(selected).hasClass("searchAll"))
+                    TransferToSearchPage();
+                else
+                    document.location.href = items.eq(selected).children("a").attr("href");
+            }
+            return;
+
+        case 27:    // Escape
+            HideSearchSuggestions();
+            return;
+
+        default:
+            return;
+    }
+
+    event.preventDefault();
+
+    items.removeClass("selected").attr("aria-selected", "false");
+    items.eq(selected).addClass("selected").attr("aria-selected", "true");
+
+    $("#SearchTextBox").attr("aria-activedescendant", items.eq(selected).attr("id"));
+}
+
+// Load the topics that can be suggested.  These come from the keyword index and the topic titles in the
+// full-text index file list.  The returned promise is resolved with the list of topics.
+function LoadSearchSuggestions()
+{
+    if(searchSuggestions != null)
+        return searchSuggestions;
+
+    var fileList = $.ajax({
+        type: "GET",
+        url: "../fti/FTI_Files.json",
+        dataType: "json"
+    }).then(function(data)
+    {
+        return data;
+    },
+    function()
+    {
+        return $.Deferred().resolve([]).promise();
+    });
+
+    searchSuggestions = $.when(LoadKeywordIndex("../WebKI.xml"), fileList).then(function(keywords, files)
+    {
+        var topics = [], added = {};
+
+        function AddTopic(title, url)
+        {
+            var key = $.trim(title).toLowerCase() + "\0" + url;
+
+            if(url && !added.hasOwnProperty(key))
+            {
+                added[key] = true;
+                topics.push({ Title: $.trim(title), Url: url });
+            }
+        }
+
+        $.each(keywords, function(idx, keyword)
+        {
+            var firstWord = keyword.Title.split(/\W/)[0].toLowerCase();
+
+            AddTopic(keyword.Title, keyword.Url);
+
+            // Sub-entries without the keyword in their title such as "constructor" under "Client class" need
+            // their parent's title for context.
+            $.each(keyword.SubEntries, function(subIdx, subEntry)
+            {
+                if(subEntry.Title.toLowerCase().indexOf(firstWord) != -1)
+                    AddTopic(subEntry.Title, subEntry.Url);
+                else
+                    AddTopic(keyword.Title + ", " + subEntry.Title, subEntry.Url);
+            });
+        });
+
+        $.each(files, function(idx, fileInfo)
+        {
+            var fileIndex = fileInfo.split(/\0/);
+
+            if(fileIndex[1].substring(0, 5) == "html/")
+                AddTopic(fileIndex[0], fileIndex[1]);
+        });
+
+        return topics;
+    });
+
+    return searchSuggestions;
+}
+
+// Find up to the given number of topics with titles containing the search text.  Titles that start with it
+// are listed first followed by those with a word starting with it and then any others.
+function FindSearchSuggestions(topics, searchText, maxCount)
+{
+    var text = searchText.toLowerCase();
+    var matches = [];
+
+    $.each(topics, function(idx, topic)
+    {
+        var title = topic.Title.toLowerCase();
+        var index = title.indexOf(text);
+
+        if(index != -1)
+            matches.push({ Topic: topic, Score: (index == 0) ? 0 : /\W/.test(title.charAt(index - 1)) ? 1 : 2 });
+    });
+
+    matches.sort(function(x, y)
+    {
+        if(x.Score != y.Score)
+            return x.Score - y.Score;
+
+        if(x.Topic.Title.length != y.Topic.Title.length)
+            return x.Topic.Title.length - y.Topic.Title.length;
+
+        return x.Topic.Title.localeCompare(y.Topic.Title);
+    });
+
+    return $.map(matches.slice(0, maxCount), function(match)
+    {
+        return match.Topic;
+    });
+}
+
+// Load a keyword index file (WebKI.xml).  The returned promise is resolved with a list of the keywords, each
+// with a title, the URL of its topic if it has one, and a list of sub-entries for keywords that apply to several
+// topics.  An empty list is returned if the index cannot be loaded.
+function LoadKeywordIndex(url)
+{
+    return $.ajax({
+        type: "GET",
+        url: url,
+        dataType: "xml"
+    }).then(function(data)
+    {
+        return ParseKeywordIndexNodes($(data.documentElement).children("HelpKINode"));
+    },
+    function()
+    {
+        return $.Deferred().resolve([]).promise();
+    });
+}
+
+// Convert a set of keyword index nodes to a list of keywords
+function ParseKeywordIndexNodes(nodes)
+{
+    return $.map(nodes, function(node)
+    {
+        return {
+            Title: node.getAttribute("Title"),
+            Url: node.getAttribute("Url"),
+            SubEntries: ParseKeywordIndexNodes($(node).children("HelpKINode"))
+        };
+    });
+}
+
+// Initiate a search when the search page loads
+function OnSearchPageLoad()
+{
+    var queryString = decodeURI(document.location.search);
+
+    if(queryString != "")
+    {
+        var idx, options = queryString.split(/[\?\=\&]/);
+
+        for(idx = 0; idx < options.length; idx++)
+            if(options[idx] == "SearchText" && idx + 1 < options.length)
+            {
+                document.getElementById("txtSearchText").value = options[idx + 1];
+                PerformSearch();
+                break;
+            }
+    }
+
+    // Search again when the user pauses while typing.  This cancels any search that is still in progress.
+    $("#txtSearchText").on("input", function()
+    {
+        clearTimeout(searchDelayTimer);
+        searchDelayTimer = setTimeout(PerformSearch, 500);
+    });
+
+    // Load the search result excerpts as the results are scrolled into view
+    $(window).on("scroll resize", LoadVisibleSearchResultExcerpts);
+
+    // Fill in the namespace filter from the documentation sets being searched and again whenever the other
+    // documentation sets are included or left out
+    $("#chkAllDocSets").on("click", UpdateNamespaceFilter);
+    UpdateNamespaceFilter();
+}
+
+// Get the documentation sets to search.  The other documentation sets are only included if wanted.  The first
+// configured set is this one.
+function GetSearchDocSets()
+{
+    var allDocSets = document.getElementById("chkAllDocSets");
+
+    if(allDocSets != null && allDocSets.checked && searchDocSets.length > 1)
+        return searchDocSets;
+
+    return [{ Title: "", Root: "" }];
+}
+
+// Fill in the namespace filter with the namespaces in the metadata index of each documentation set being
+// searched.  The options are kept in sorted order.  If the selected namespace is no longer listed, the filter
+// is cleared and the search is done again.
+function UpdateNamespaceFilter()
+{
+    var thisUpdateId = ++namespaceFilterUpdateId;
+
+    var requests = $.map(GetSearchDocSets(), function(docSet)
+    {
+        var url = docSet.Root + "fti/FTI_Metadata.json";
+
+        // These are not search requests so a new search does not abort them.  A documentation set without a
+        // metadata index adds no namespaces.
+        if(!searchMetadataRequests.hasOwnProperty(url))
+            searchMetadataRequests[url] = $.ajax({
+                type: "GET",
+                url: url,
+                dataType: "json"
+            }).then(function(metadata)
+            {
+                return metadata;
+            },
+            function()
+            {
+                return $.Deferred().resolve({}).promise();
+            });
+
+        return searchMetadataRequests[url];
+    });
+
+    $.when.apply($, requests).done(function()
+    {
+        var namespaceFilter = $("#cboSearchNamespace");
+        var selected = namespaceFilter.val() || "";
+        var namespaces = [];
+
+        // A later update has replaced this one
+        if(thisUpdateId != namespaceFilterUpdateId)
+            return;
+
+        for(var idx = 0; idx < arguments.length; idx++)
+            $.each(arguments[idx], function(filename, fileMetadata)
+            {
+                var container = fileMetadata.split(/\0/)[1];
+
+                if(container && $.inArray(container, namespaces) == -1)
+                    namespaces.push(container);
+            });
+
+        namespaces.sort();
+
+        namespaceFilter.children("option").not("[value='']").remove();
+
+        $.each(namespaces, function(idx, container)
+        {
+            namespaceFilter.append($("<option></option>").val(container).text(container));
+        });
+
+        if(selected != "" && $.inArray(selected, namespaces) == -1)
+        {
+            namespaceFilter.val("");
+            PerformSearch();
+        }
+        else
+            namespaceFilter.val(selected);
+    });
+}
+
+// Get the search filters selected on the search page.  The kinds are those used in the metadata index.  If
+// none are selected, topics of all kinds are included.
+function GetSearchFilters()
+{
+    var filters = { Kinds: [], Namespace: $("#cboSearchNamespace").val() || "" };
+
+    $("input.searchKindFilter:checked").each(function()
+    {
+        filters.Kinds = filters.Kinds.concat(this.value.split(" "));
+    });
+
+    return filters;
+}
+
+// See if any search filters are in effect
+function IsSearchFiltered(filters)
+{
+    return filters.Kinds.length != 0 || filters.Namespace != "";
+}
+
+// See if a file passes the search filters based on its entry in the metadata index.  The index is keyed by
+// the topic filenames used in the file list so that an index that is out of date cannot apply one topic's
+// metadata to another.  Files without any metadata are not filtered out.
+function MatchesSearchFilters(metadata, filename, filters)
+{
+    if(!$.isPlainObject(metadata) || !metadata.hasOwnProperty(filename))
+        return true;
+
+    var fileMetadata = metadata[filename].split(/\0/);
+
+    if(filters.Kinds.length != 0 && $.inArray(fileMetadata[0], filters.Kinds) == -1)
+        return false;
+
+    return (filters.Namespace == "" || fileMetadata[1] == filters.Namespace);
+}
+
+// Perform a search using the best available method
+function PerformSearch()
+{
+    var searchText = document.getElementById("txtSearchText").value;
+    var sortByTitle = document.getElementById("chkSortByTitle").checked;
+    var searchResults = document.getElementById("searchResults");
+    var filters = GetSearchFilters();
+    var docSets = GetSearchDocSets();
+
+    // Any search still in progress is superseded by this one
+    CancelSearch();
+
+    if(searchText.length == 0)
+    {
+        searchResults.innerHTML = "<strong>Nothing found</strong>";
+        return;
+    }
+
+    var thisSearchId = searchId;
+
+    ShowSearchProgress(searchResults, 0, 0);
+
+    // Determine the search method if not done already.  The ASPX and PHP searches are more efficient as they
+    // run server-side.  If they can't be used, it defaults to the client-side script below which will work but
+    // has to download the index files.  For large help sites, this can be inefficient.  The server-side searches
+    // only cover their own site and do not support the filters so searches of several documentation sets and
+    // filtered searches are always done client-side.
+    DetermineSearchMethod().then(function(method)
+    {
+        var isClientSideOnly = (docSets.length > 1 || IsSearchFiltered(filters));
+
+        if(method == 1 && !isClientSideOnly)
+            return SearchServerSide("SearchHelp.aspx", searchText, sortByTitle);
+
+        if(method == 2 && !isClientSideOnly)
+            return SearchServerSide("SearchHelp.php", searchText, sortByTitle);
+
+        return SearchClientSide(searchText, sortByTitle, docSets, filters, function(loaded, total)
+        {
+            if(thisSearchId == searchId)
+                ShowSearchProgress(searchResults, loaded, total);
+        });
+    }).done(function(html)
+    {
+        if(thisSearchId == searchId)
+        {
+            var keywords = GetQueryKeywords(ParseQuery(searchText), false);
+
+            // The keywords are kept for the results shown later by the "show more" link
+            searchResults.innerHTML = html;
+            $(searchResults).attr("data-keywords", keywords.join(" "));
+            ShowSearchResultExcerpts($(searchResults).find("li").not(".searchResultMore"), keywords);
+        }
+    }).fail(function()
+    {
+        // Failures caused by a newer search aborting this one are expected and are ignored
+        if(thisSearchId == searchId)
+            searchResults.innerHTML = "<strong>Unable to search the help content</strong>";
+    });
+}
+
+// Cancel the search in progress if there is one.  Outstanding requests are aborted and any results that still
+// arrive for it are ignored.
+function CancelSearch()
+{
+    var requests = pendingSearchRequests;
+
+    clearTimeout(searchDelayTimer);
+    searchId++;
+    pendingSearchRequests = [];
+
+    for(var idx = 0; idx < requests.length; idx++)
+        requests[idx].abort();
+}
+
+// Send a request on behalf of the current search.  It is tracked so that it can be aborted if the search is
+// cancelled.
+function SendSearchRequest(url, dataType)
+{
+    var request = $.ajax({
+        type: "GET",
+        url: url,
+        dataType: dataType
+    });
+
+    pendingSearchRequests.push(request);
+
+    return request.always(function()
+    {
+        var idx = $.inArray(request, pendingSearchRequests);
+
+        if(idx != -1)
+            pendingSearchRequests.splice(idx, 1);
+    });
+}
+
+// Show the progress of the search in the results area
+function ShowSearchProgress(searchResults, loaded, total)
+{
+    var progress = "Searching...";
+
+    if(total > 1)
+        progress = "Searching... (loaded " + loaded + " of " + total + " index files)";
+
+    searchResults.innerHTML = "<span class=\"searchProgress\">" + progress + "</span>";
+}
+
+// Perform the search using one of the server-side search pages.  The returned promise is resolved with the
+// HTML results.
+function SearchServerSide(searchPage, searchText, sortByTitle)
+{
+    return SendSearchRequest(encodeURI(searchPage + "?Keywords=" + searchText + "&SortByTitle=" + sortByTitle),
+        "html");
+}
+
+// Perform the search using the client-side index files of each of the given documentation sets.  The results
+// are merged and ranked together.  If there is more than one set, each result is labeled with the set it came
+// from.  Only the first set is required.  The others are skipped if they cannot be loaded.  The returned
+// promise is resolved with the HTML results.  The progress callback is passed the number of index files loaded
+// so far and the total number needed.
+function SearchClientSide(searchText, sortByTitle, docSets, filters, progress)
+{
+    var query = ParseQuery(searchText);
+    var keywords = GetQueryKeywords(query, true);
+    var letters = [], letterFiles = [];
+    var loaded = 0, total;
+
+    if(keywords.length == 0)
+        return $.Deferred().resolve("<strong>Nothing found</strong>").promise();
+
+    // Load the keyword files for each keyword starting letter
+    for(var idx = 0; idx < keywords.length; idx++)
+    {
+        var letter = keywords[idx].substring(0, 1);
+
+        if($.inArray(letter, letters) == -1)
+        {
+            letters.push(letter);
+            letterFiles.push("fti/FTI_" + letter.charCodeAt(0) + ".json");
+        }
+    }
+
+    // Each set needs its file list, its letter files and, if filtered, its metadata index
+    total = docSets.length * (letterFiles.length + (IsSearchFiltered(filters) ? 2 : 1));
+
+    var searches = $.map(docSets, function(docSet)
+    {
+        return SearchDocSet(docSet, query, letterFiles, filters, docSet != docSets[0], function()
+        {
+            loaded++;
+            progress(loaded, total);
+        });
+    });
+
+    return $.when.apply($, searches).then(function()
+    {
+        var results = { Rankings: [], MatchCount: 0 };
+        var missingWords = GetMandatoryKeywords(query);
+
+        for(var setIdx = 0; setIdx < arguments.length; setIdx++)
+        {
+            var docSetResults = arguments[setIdx];
+
+            results.Rankings = results.Rankings.concat(docSetResults.Rankings);
+            results.MatchCount += docSetResults.MatchCount;
+
+            // Only keywords that must be found can prevent a match so misspelled exclusions and alternatives are
+            // not corrected.  A keyword is only missing if none of the documentation sets contain it.
+            missingWords = $.grep(missingWords, function(word)
             {
-                searchResults.innerHTML = html;
+                return FindKeywordOccurrences(word, docSetResults.WordDictionary) == null;
+            });
+        }
+
+        var html = FormatSearchResults(results, sortByTitle, docSets.length > 1);
+
+        if(missingWords.length == 0)
+            return html;
+
+        return SuggestCorrections(searchText, missingWords, docSets).then(
+            function(suggestion)
+            {
+                return html + suggestion;
+            });
+    });
+}
+
+// Search a single documentation set using its client-side index files.  The index files are loaded in
+// parallel and the callback is invoked as each one is loaded.  The metadata index is only needed if the
+// search is filtered.  If the set is optional, one that cannot be loaded has no results rather than failing
+// the search.  The returned promise is resolved with the results and the word dictionary used to find them.
+function SearchDocSet(docSet, query, letterFiles, filters, isOptional, fileLoaded)
+{
+    var isFiltered = IsSearchFiltered(filters);
+    var requests = [
+        LoadSearchIndexFile(docSet.Root + "fti/FTI_Files.json", isOptional).done(fileLoaded),
+        isFiltered ? LoadSearchIndexFile(docSet.Root + "fti/FTI_Metadata.json", true).done(fileLoaded) : null
+    ];
+
+    $.each(letterFiles, function(idx, url)
+    {
+        requests.push(LoadSearchIndexFile(docSet.Root + url, true).done(fileLoaded));
+    });
+
+    return $.when.apply($, requests).then(function(fileList, metadata)
+    {
+        var wordDictionary = {};
+
+        // An optional set that is missing loads as an empty object rather than a file list
+        if(!$.isArray(fileList))
+            return { Rankings: [], MatchCount: 0, WordDictionary: wordDictionary };
+
+        for(var fileIdx = 2; fileIdx < arguments.length; fileIdx++)
+            $.each(arguments[fileIdx], function(key, val)
+            {
+                wordDictionary[key] = val;
+            });
+
+        var results = SearchForKeywords(query, fileList, wordDictionary, !isFiltered ? null : function(fileIdx)
+        {
+            return MatchesSearchFilters(metadata, fileList[fileIdx].split(/\0/)[1], filters);
+        });
+
+        // Topic paths are relative to the documentation set's root
+        $.each(results.Rankings, function(idx, ranking)
+        {
+            ranking.Filename = docSet.Root + ranking.Filename;
+            ranking.DocSet = docSet.Title;
+        });
+
+        results.WordDictionary = wordDictionary;
+
+        return results;
+    });
+}
+
+// Suggest a corrected search when some of the required keywords were not found in the index.  Each missing
+// keyword is compared to the words in its own letter file.  In case the first character is the typo, it is also
+// compared to those in the letter files of the keys next to it on the keyboard and, for an extra or swapped
+// first character, the letter file of its second character.  A missing first character or one mistyped as a
+// key further away is not corrected as that would take every letter file.  The letter files of every searched
+// documentation set are used.  The returned promise is resolved with the HTML for a "Did you mean" link or an
+// empty string if there is nothing to suggest.
+function SuggestCorrections(searchText, missingWords, docSets)
+{
+    var urls = [], requests = [];
+
+    for(var idx = 0; idx < missingWords.length; idx++)
+    {
+        var word = missingWords[idx];
+        var letters = word.charAt(0) + (keyboardNeighbors[word.charAt(0)] || "") + word.charAt(1);
+
+        for(var letterIdx = 0; letterIdx < letters.length; letterIdx++)
+            for(var setIdx = 0; setIdx < docSets.length; setIdx++)
+            {
+                var url = docSets[setIdx].Root + "fti/FTI_" + letters.charCodeAt(letterIdx) + ".json";
+
+                if($.inArray(url, urls) == -1)
+                {
+                    urls.push(url);
+                    requests.push(LoadSearchIndexFile(url, true));
+                }
+            }
+    }
+
+    return $.when.apply($, requests).then(function()
+    {
+        var candidates = {};
+
+        // A word found in several documentation sets is preferred based on its file count in all of them
+        for(var fileIdx = 0; fileIdx < arguments.length; fileIdx++)
+            $.each(arguments[fileIdx], function(word, occurrences)
+            {
+                candidates[word] = candidates.hasOwnProperty(word) ? candidates[word].concat(occurrences) :
+                    occurrences;
+            });
+
+        var correctedText = searchText, isCorrected = false;
+
+        for(var wordIdx = 0; wordIdx < missingWords.length; wordIdx++)
+        {
+            var correction = FindClosestWord(missingWords[wordIdx], candidates);
+
+            if(correction != null)
+            {
+                correctedText = correctedText.replace(new RegExp("\\b" + missingWords[wordIdx] + "\\b", "gi"),
+                    correction);
+                isCorrected = true;
             }
+        }
+
+        if(!isCorrected)
+            return "";
+
+        return "<p class=\"searchSuggestion\">Did you mean <a href=\"#!\" data-searchtext=\"" +
+            HtmlEncode(correctedText) + "\" onclick=\"javascript: OnSearchSuggestionClick(this); return false;\">" +
+            HtmlEncode(correctedText) + "</a>?</p>";
+    });
+}
+
+// Search again using the suggested search text when a "Did you mean" link is clicked
+function OnSearchSuggestionClick(link)
+{
+    document.getElementById("txtSearchText").value = $(link).attr("data-searchtext");
+    PerformSearch();
+}
+
+// Load a client-side search index file.  Files are cached once loaded so that later searches do not have to
+// download them again.  A letter file will not exist if no indexed word starts with that letter so, if
+// optional, a missing file is treated as an empty index.
+function LoadSearchIndexFile(url, isOptional)
+{
+    if(searchIndexCache.hasOwnProperty(url))
+        return $.Deferred().resolve(searchIndexCache[url]).promise();
+
+    return SendSearchRequest(url, "json").then(function(data)
+    {
+        searchIndexCache[url] = data;
+        return data;
+    },
+    function(request, status)
+    {
+        if(isOptional && status != "abort")
+            return $.Deferred().resolve({}).promise();
+
+        return request;
+    });
+}
+
+// Add the topic's container and a short excerpt of its text with the keywords highlighted to each of the given
+// search result items.  The topics are only loaded once their results are scrolled into view so that the
+// results can be shown right away.  The keywords are also passed on to the topic so that it can highlight them
+// when opened.
+function ShowSearchResultExcerpts(items, keywords)
+{
+    var highlight = (keywords.length == 0 || keywords[0] == "") ? "" : "?Highlight=" +
+        encodeURIComponent(keywords.join(" "));
+
+    // Items from an earlier search are no longer on the page so they are dropped
+    if(pendingExcerptItems.length != 0 && pendingExcerptItems[0].SearchId != searchId)
+        pendingExcerptItems = [];
+
+    $(items).children("a").each(function()
+    {
+        var link = $(this);
+        var url = link.attr("href");
+
+        link.attr("href", url + highlight);
+        pendingExcerptItems.push({ Link: link, Url: url, Keywords: keywords, SearchId: searchId });
+    });
+
+    LoadVisibleSearchResultExcerpts();
+}
+
+// Queue the excerpts of the pending search results that are in or near the visible part of the page and start
+// loading them.  This is called whenever the page is scrolled or resized.
+function LoadVisibleSearchResultExcerpts()
+{
+    var windowHeight = $(window).height();
+
+    pendingExcerptItems = $.grep(pendingExcerptItems, function(item)
+    {
+        var bounds = item.Link[0].getBoundingClientRect();
+
+        if(bounds.bottom < -200 || bounds.top > windowHeight + 200)
+            return true;
+
+        queuedExcerptItems.push(item);
+        return false;
+    });
+
+    LoadQueuedSearchResultExcerpts();
+}
+
+// Load the queued search result excerpts, keeping no more than the maximum number of requests in progress.
+// Items from an earlier search are skipped.  Aborting a search's requests frees up their slots too.
+function LoadQueuedSearchResultExcerpts()
+{
+    while(activeExcerptRequests < maxExcerptRequests && queuedExcerptItems.length != 0)
+    {
+        var item = queuedExcerptItems.shift();
+
+        if(item.SearchId != searchId)
+            continue;
+
+        activeExcerptRequests++;
+        LoadSearchResultExcerpt(item).always(function()
+        {
+            activeExcerptRequests--;
+
+            // The excerpts added so far may have moved other results into or out of view
+            LoadVisibleSearchResultExcerpts();
         });
+    }
+}
 
-        return;
+// Load the topic of a search result item and add its container and excerpt below the link.  The returned
+// promise is resolved once done.
+function LoadSearchResultExcerpt(item)
+{
+    return LoadTopicSummary(item.Url).done(function(topic)
+    {
+        if(item.SearchId == searchId)
+            item.Link.after("<div class=\"searchResultContainer\">" + HtmlEncode(topic.Container) + "</div>" +
+                "<div class=\"searchResultExcerpt\">" + GetSearchExcerpt(topic.Text, item.Keywords) + "</div>");
+    });
+}
+
+// Load a topic and extract its container and text for use in the search results.  Summaries are cached once
+// loaded.  The returned promise is resolved with the summary.
+function LoadTopicSummary(url)
+{
+    if(topicSummaryCache.hasOwnProperty(url))
+        return $.Deferred().resolve(topicSummaryCache[url]).promise();
+
+    return SendSearchRequest(url, "text").then(function(html)
+    {
+        // The topic is parsed in a separate document so that its scripts are not run and its images are not
+        // loaded.
+        var topic = document.implementation.createHTMLDocument("");
+
+        topic.documentElement.innerHTML = html;
+
+        var content = $(topic).find("#TopicContent");
+
+        content.find("script, table.titleTable, .codeSnippetContainerTabs, .codeSnippetToolBar, " +
+            "a[href='#PageHeader']").remove();
+
+        // Keep the text of adjacent blocks from running together
+        content.find("div, p, br, li, tr, td, th, pre, h1, h2, h3, h4, .collapsibleRegionTitle").after(" ");
+
+        topicSummaryCache[url] = {
+            Container: $(topic).find("meta[name='container']").attr("content") || "",
+            Text: $.trim(content.text().replace(/\s+/g, " "))
+        };
+
+        return topicSummaryCache[url];
+    });
+}
+
+// Get a short excerpt of the given text around the first keyword found in it with the keywords highlighted
+function GetSearchExcerpt(text, keywords)
+{
+    var pattern = GetHighlightPattern(keywords);
+    var match = (pattern == null) ? null : pattern.exec(text);
+    var start = 0, end;
+
+    // Start and end the excerpt on a word boundary
+    if(match != null && match.index > 60)
+        start = text.indexOf(" ", match.index - 60) + 1;
+
+    end = start + 200;
+
+    if(end < text.length)
+        end = text.lastIndexOf(" ", end);
+    else
+        end = text.length;
+
+    return (start > 0 ? "..." : "") + HighlightText(text.substring(start, end), keywords) +
+        (end < text.length ? "..." : "");
+}
+
+// Get a regular expression that matches any word starting with one of the given keywords.  Null is returned if
+// there are no keywords.
+function GetHighlightPattern(keywords)
+{
+    var words = $.grep(keywords, function(word)
+    {
+        return /^\w+$/.test(word);
+    });
+
+    if(words.length == 0)
+        return null;
+
+    return new RegExp("\\b(" + words.join("|") + ")\\w*", "gi");
+}
+
+// HTML encode the given text and highlight each word in it that starts with one of the keywords
+function HighlightText(text, keywords)
+{
+    var pattern = GetHighlightPattern(keywords);
+    var content = "", lastIndex = 0, match;
+
+    while(pattern != null && (match = pattern.exec(text)) != null)
+    {
+        content += HtmlEncode(text.substring(lastIndex, match.index)) + "<span class=\"highlight\">" +
+            HtmlEncode(match[0]) + "</span>";
+        lastIndex = pattern.lastIndex;
     }
 
-    if(searchMethod == 2)
+    return content + HtmlEncode(text.substring(lastIndex));
+}
+
+// Highlight the search keywords passed in the query string when a topic is opened from the search results and
+// scroll the first one into view.
+function HighlightSearchKeywords()
+{
+    var match = /[?&]Highlight=([^&]*)/.exec(document.location.search);
+    var content = document.getElementById("TopicContent");
+
+    if(match == null || content == null)
+        return;
+
+    var keywords = decodeURIComponent(match[1].replace(/\+/g, " ")).split(" ");
+    var pattern = GetHighlightPattern(keywords);
+    var textNodes = [];
+
+    if(pattern == null)
+        return;
+
+    // Find the text nodes first as they are replaced as the keywords are highlighted
+    (function FindTextNodes(node)
     {
-        $.ajax({
-            type: "GET",
-            url: encodeURI("SearchHelp.php?Keywords=" + searchText + "&SortByTitle=" + sortByTitle),
-            success: function(html)
+        for(var child = node.firstChild; child != null; child = child.nextSibling)
+            if(child.nodeType == 3)
+                textNodes.push(child);
+            else
+                if(child.nodeType == 1 && !/^(script|style)$/i.test(child.nodeName))
+                    FindTextNodes(child);
+    })(content);
+
+    $.each(textNodes, function(idx, node)
+    {
+        pattern.lastIndex = 0;
+
+        if(pattern.test(node.nodeValue))
+            $(node).replaceWith(HighlightText(node.nodeValue, keywords));
+    });
+
+    var first = $(content).find("span.highlight").first();
+
+    if(first.length != 0)
+        first[0].scrollIntoView();
+}
+
+// Determine the search method by seeing if the ASPX or PHP search pages are present and working.  This returns
+// a promise that is resolved with the search method once it is known.
+function DetermineSearchMethod()
+{
+    if(searchMethod != 0)
+        return $.Deferred().resolve(searchMethod).promise();
+
+    if(searchMethodProbe == null)
+    {
+        searchMethodProbe = ProbeSearchPage("SearchHelp.aspx").then(function(isWorking)
+        {
+            if(isWorking)
+                return 1;
+
+            return ProbeSearchPage("SearchHelp.php").then(function(isWorking)
             {
-                searchResults.innerHTML = html;
-            }
+                return isWorking ? 2 : 3;
+            });
+        }).done(function(method)
+        {
+            searchMethod = method;
         });
-
-        return;
     }
 
-    // Parse the keywords
-    var keywords = ParseKeywords(searchText);
+    return searchMethodProbe;
+}
 
-    // Get the list of files.  We'll be getting multiple files so we need to do this synchronously.
-    var fileList = [];
+// See if a server-side search page is present and working.  The returned promise is resolved with true if it
+// is or false if not.
+function ProbeSearchPage(url)
+{
+    var probe = $.Deferred();
 
     $.ajax({
         type: "GET",
-        url: "fti/FTI_Files.json",
-        dataType: "json",
-        async: false,
-        success: function(data)
-        {
-            $.each(data, function(key, val)
-            {
-                fileList[key] = val;
-            });
-        }
+        url: url,
+        dataType: "text"
+    }).done(function(html)
+    {
+        probe.resolve(html.substring(0, 8) == "<strong>");
+    }).fail(function()
+    {
+        probe.resolve(false);
     });
 
-    var letters = [];
-    var wordDictionary = {};
-    var wordNotFound = false;
+    return probe.promise();
+}
 
-    // Load the keyword files for each keyword starting letter
-    for(var idx = 0; idx < keywords.length && !wordNotFound; idx++)
+// Parse the search text into a query.  Terms are ANDed together by default.  "OR" between two terms matches
+// topics containing either one.  A leading "-" or "NOT" excludes topics containing the term.  Quoted text is
+// treated as a phrase.  The index does not record word positions so a phrase matches topics that contain all
+// of its words exactly rather than as a prefix.
+function ParseQuery(searchText)
+{
+    var query = { Required: [], Excluded: [] };
+    var tokens = searchText.match(/-?"[^"]*"?|\S+/g) || [];
+    var clause = null, isAlternative = false, isExcluded = false;
+
+    for(var idx = 0; idx < tokens.length; idx++)
     {
-        var letter = keywords[idx].substring(0, 1);
+        var token = tokens[idx];
 
-        if($.inArray(letter, letters) == -1)
+        if(token == "OR")
         {
-            letters.push(letter);
+            isAlternative = (clause != null);
+            continue;
+        }
 
-            $.ajax({
-                type: "GET",
-                url: "fti/FTI_" + letter.charCodeAt(0) + ".json",
-                dataType: "json",
-                async: false,
-                success: function(data)
-                {
-                    var wordCount = 0;
+        if(token == "NOT")
+        {
+            isExcluded = true;
+            continue;
+        }
+
+        if(token.length > 1 && token.charAt(0) == "-")
+        {
+            isExcluded = true;
+            token = token.substring(1);
+        }
 
-                    $.each(data, function(key, val)
-                    {
-                        wordDictionary[key] = val;
-                        wordCount++;
-                    });
+        // A term like "Client.Connect" is split into several words and is treated like a phrase
+        var words = ParseKeywords(token);
+        var term = { Words: words, IsPhrase: token.charAt(0) == "\"" || words.length > 1 };
 
-                    if(wordCount == 0)
-                        wordNotFound = true;
+        if(words.length != 0)
+        {
+            if(isExcluded)
+            {
+                query.Excluded.push(term);
+                clause = null;
+            }
+            else
+                if(isAlternative)
+                    clause.push(term);
+                else
+                {
+                    clause = [term];
+                    query.Required.push(clause);
                 }
-            });
         }
+
+        isAlternative = isExcluded = false;
     }
 
-    if(wordNotFound)
-        searchResults.innerHTML = "<strong>Nothing found</strong>";
-    else
-        searchResults.innerHTML = SearchForKeywords(keywords, fileList, wordDictionary, sortByTitle);
+    return query;
 }
 
-// Determine the search method by seeing if the ASPX or PHP search pages are present and working
-function DetermineSearchMethod()
+// Get a list of all of the distinct words used in a query, optionally including those of the excluded terms
+function GetQueryKeywords(query, includeExcluded)
 {
-    var method = 3;
+    var keywords = [];
+    var terms = includeExcluded ? query.Excluded.slice(0) : [];
 
-    try
-    {
-        $.ajax({
-            type: "GET",
-            url: "SearchHelp.aspx",
-            async: false,
-            success: function(html)
-            {
-                if(html.substring(0, 8) == "<strong>")
-                    method = 1;
-            }
-        });
+    for(var idx = 0; idx < query.Required.length; idx++)
+        terms = terms.concat(query.Required[idx]);
 
-        if(method == 3)
-            $.ajax({
-                type: "GET",
-                url: "SearchHelp.php",
-                async: false,
-                success: function(html)
-                {
-                    if(html.substring(0, 8) == "<strong>")
-                        method = 2;
-                }
+    for(var termIdx = 0; termIdx < terms.length; termIdx++)
+        for(var wordIdx = 0; wordIdx < terms[termIdx].Words.length; wordIdx++)
+            if($.inArray(terms[termIdx].Words[wordIdx], keywords) == -1)
+                keywords.push(terms[termIdx].Words[wordIdx]);
+
+    return keywords;
+}
+
+// Get a list of the distinct words that a topic must contain to match a query.  These are the words of the
+// required terms that have no "OR" alternatives.
+function GetMandatoryKeywords(query)
+{
+    var keywords = [];
+
+    for(var idx = 0; idx < query.Required.length; idx++)
+        if(query.Required[idx].length == 1)
+            $.each(query.Required[idx][0].Words, function(wordIdx, word)
+            {
+                if($.inArray(word, keywords) == -1)
+                    keywords.push(word);
             });
-    }
-    catch(e)
-    {
-    }
 
-    return method;
+    return keywords;
 }
 
-// Split the search text up into keywords
+// Split the search text up into keywords.  Two letter words are kept as they can still be used as a prefix to
+// find longer words.
 function ParseKeywords(keywords)
 {
     var keywordList = [];
@@ -509,7 +2500,7 @@ function ParseKeywords(keywords)
     {
         checkWord = words[idx].toLowerCase();
 
-        if(checkWord.length > 2)
+        if(checkWord.length > 1)
         {
             var charCode = checkWord.charCodeAt(0);
 
@@ -521,85 +2512,240 @@ function ParseKeywords(keywords)
     return keywordList;
 }
 
-// Search for keywords and generate a block of HTML containing the results
-function SearchForKeywords(keywords, fileInfo, wordDictionary, sortByTitle)
+// Find the occurrences of a keyword in the word dictionary.  The keyword is also treated as a prefix so the
+// occurrences of all longer words that start with it are returned as partial matches.  These are kept separate
+// for each word so that they can be weighted individually.  Null is returned if there are no matches at all.
+function FindKeywordOccurrences(keyword, wordDictionary)
 {
-    var matches = [], matchingFileIndices = [], rankings = [];
-    var isFirst = true;
+    var exact = wordDictionary.hasOwnProperty(keyword) ? wordDictionary[keyword] : [];
+    var partial = [];
 
-    for(var idx = 0; idx < keywords.length; idx++)
+    for(var word in wordDictionary)
+        if(word.length > keyword.length && word.substring(0, keyword.length) == keyword &&
+          wordDictionary.hasOwnProperty(word))
+        {
+            partial.push(wordDictionary[word]);
+        }
+
+    if(exact.length == 0 && partial.length == 0)
+        return null;
+
+    return { Exact: exact, Partial: partial };
+}
+
+// Find the files that match a query term.  The result is an object keyed by file index with the weighted
+// score of the term in each file and whether or not it was an exact match.  A single word term is also treated
+// as a prefix if partial matches are allowed.  All words of a phrase must be found in a file.  The file count
+// is the total number of files in the index and is used to weight each word by how rare it is.
+function MatchTerm(term, wordDictionary, fileCount, allowPartial)
+{
+    var files = {};
+
+    if(term.Words.length == 1 && !term.IsPhrase && allowPartial)
+    {
+        var occurrences = FindKeywordOccurrences(term.Words[0], wordDictionary);
+
+        if(occurrences != null)
+        {
+            AddFileOccurrences(files, occurrences.Exact, true, fileCount);
+
+            for(var idx = 0; idx < occurrences.Partial.length; idx++)
+                AddFileOccurrences(files, occurrences.Partial[idx], false, fileCount);
+        }
+
+        return files;
+    }
+
+    for(var idx = 0; idx < term.Words.length; idx++)
+    {
+        var wordFiles = {};
+
+        if(wordDictionary.hasOwnProperty(term.Words[idx]))
+            AddFileOccurrences(wordFiles, wordDictionary[term.Words[idx]], true, fileCount);
+
+        if(idx == 0)
+            files = wordFiles;
+        else
+            for(var fileIdx in files)
+                if(wordFiles.hasOwnProperty(fileIdx))
+                    files[fileIdx].Score += wordFiles[fileIdx].Score;
+                else
+                    delete files[fileIdx];
+    }
+
+    return files;
+}
+
+// Add a word's index entries to a set of matching files.  Each occurrence is weighted by the word's inverse
+// document frequency so that words found in only a few files count for more than common ones found in most of
+// them.
+function AddFileOccurrences(files, occurrences, isExact, fileCount)
+{
+    var weight = Math.log(1 + fileCount / Math.max(occurrences.length, 1));
+
+    for(var ind in occurrences)
+    {
+        var entry = occurrences[ind];
+
+        // These are 64-bit numbers but JavaScript only does bit shifts on 32-bit values so we divide by 2^16 to
+        // get the same effect as ">> 16" and use floor() to truncate the result.
+        var fileIdx = Math.floor(entry / Math.pow(2, 16));
+
+        if(!files.hasOwnProperty(fileIdx))
+            files[fileIdx] = { Score: 0, IsExact: false };
+
+        files[fileIdx].Score += (entry & 0xFFFF) * weight;
+        files[fileIdx].IsExact = files[fileIdx].IsExact || isExact;
+    }
+}
+
+// Score how well a topic title matches the query.  Each query clause found in the title as a whole word adds
+// one.  A single word term that only matches the start of a longer word in the title adds half as much.
+function GetTitleScore(query, title)
+{
+    var titleWords = title.toLowerCase().split(/[^a-z0-9_]+/), score = 0;
+
+    for(var clauseIdx = 0; clauseIdx < query.Required.length; clauseIdx++)
     {
-        var word = keywords[idx];
-        var occurrences = wordDictionary[word];
+        var clauseScore = 0;
+
+        for(var termIdx = 0; termIdx < query.Required[clauseIdx].length; termIdx++)
+        {
+            var term = query.Required[clauseIdx][termIdx];
+            var isPrefix = (term.Words.length == 1 && !term.IsPhrase);
+
+            var exactWords = $.grep(term.Words, function(word)
+            {
+                return $.inArray(word, titleWords) != -1;
+            });
+
+            if(exactWords.length == term.Words.length)
+                clauseScore = 1;
+            else
+                if(isPrefix && clauseScore == 0 && $.grep(titleWords, function(titleWord)
+                  {
+                      return titleWord.substring(0, term.Words[0].length) == term.Words[0];
+                  }).length != 0)
+                {
+                    clauseScore = 0.5;
+                }
+        }
+
+        score += clauseScore;
+    }
 
-        // All keywords must be found
-        if(occurrences == null)
-            return "<strong>Nothing found</strong>";
+    return score;
+}
+
+// Search for the query terms and rank the matching files.  If a file filter function is given, only files
+// for which it returns true are included.  The result contains the rankings of all matching files and their
+// count.
+function SearchForKeywords(query, fileInfo, wordDictionary, fileFilter)
+{
+    var matchingFiles = null, matchingFileIndices = [], rankings = [];
+
+    // All required clauses must be found.  A clause is found if any one of its alternative terms is found.
+    for(var clauseIdx = 0; clauseIdx < query.Required.length; clauseIdx++)
+    {
+        var clause = query.Required[clauseIdx];
+        var clauseFiles = {};
 
-        matches[word] = occurrences;
-        var occurrenceIndices = [];
+        for(var termIdx = 0; termIdx < clause.length; termIdx++)
+        {
+            var termFiles = MatchTerm(clause[termIdx], wordDictionary, fileInfo.length, true);
 
-        // Get a list of the file indices for this match.  These are 64-bit numbers but JavaScript only does
-        // bit shifts on 32-bit values so we divide by 2^16 to get the same effect as ">> 16" and use floor()
-        // to truncate the result.
-        for(var ind in occurrences)
-            occurrenceIndices.push(Math.floor(occurrences[ind] / Math.pow(2, 16)));
+            for(var fileIdx in termFiles)
+                if(clauseFiles.hasOwnProperty(fileIdx))
+                {
+                    clauseFiles[fileIdx].Score += termFiles[fileIdx].Score;
+                    clauseFiles[fileIdx].IsExact = clauseFiles[fileIdx].IsExact || termFiles[fileIdx].IsExact;
+                }
+                else
+                    clauseFiles[fileIdx] = termFiles[fileIdx];
+        }
 
-        if(isFirst)
+        if(matchingFiles == null)
         {
-            isFirst = false;
+            matchingFiles = {};
 
-            for(var matchInd in occurrenceIndices)
-                matchingFileIndices.push(occurrenceIndices[matchInd]);
+            for(var fileIdx in clauseFiles)
+                matchingFiles[fileIdx] = { Score: clauseFiles[fileIdx].Score,
+                    ExactMatches: clauseFiles[fileIdx].IsExact ? 1 : 0 };
         }
         else
         {
-            // After the first match, remove files that do not appear for all found keywords
-            for(var checkIdx = 0; checkIdx < matchingFileIndices.length; checkIdx++)
-                if($.inArray(matchingFileIndices[checkIdx], occurrenceIndices) == -1)
+            // After the first clause, remove files that do not appear for all clauses
+            for(var fileIdx in matchingFiles)
+                if(clauseFiles.hasOwnProperty(fileIdx))
                 {
-                    matchingFileIndices.splice(checkIdx, 1);
-                    checkIdx--;
+                    matchingFiles[fileIdx].Score += clauseFiles[fileIdx].Score;
+
+                    if(clauseFiles[fileIdx].IsExact)
+                        matchingFiles[fileIdx].ExactMatches++;
                 }
+                else
+                    delete matchingFiles[fileIdx];
         }
     }
 
-    if(matchingFileIndices.length == 0)
-        return "<strong>Nothing found</strong>";
+    if(matchingFiles == null)
+        return { Rankings: [], MatchCount: 0 };
+
+    // Remove files containing any of the excluded terms.  These must match exactly so that excluding a word
+    // does not also exclude every longer word that starts with it.
+    for(var termIdx = 0; termIdx < query.Excluded.length; termIdx++)
+        for(var fileIdx in MatchTerm(query.Excluded[termIdx], wordDictionary, fileInfo.length, false))
+            delete matchingFiles[fileIdx];
 
-    // Rank the files based on the number of times the words occurs
-    for(var fileIdx = 0; fileIdx < matchingFileIndices.length; fileIdx++)
+    for(var fileIdx in matchingFiles)
+        if(fileFilter == null || fileFilter(+fileIdx))
+            matchingFileIndices.push(+fileIdx);
+
+    // Rank the files based on the weighted number of times the words occur relative to the size of the file.
+    // The square root of the size is used so that long topics such as those for types are not penalized too
+    // much.  All matching files are ranked so that the best ones are found even if there are a lot of them.
+    for(var idx = 0; idx < matchingFileIndices.length; idx++)
     {
         // Split out the title, filename, and word count
-        var matchingIdx = matchingFileIndices[fileIdx];
+        var matchingIdx = matchingFileIndices[idx];
         var fileIndex = fileInfo[matchingIdx].split(/\0/);
 
         var title = fileIndex[0];
         var filename = fileIndex[1];
         var wordCount = parseInt(fileIndex[2]);
-        var matchCount = 0;
-
-        for(var idx = 0; idx < keywords.length; idx++)
-        {
-            occurrences = matches[keywords[idx]];
+        var match = matchingFiles[matchingIdx];
+        var rank = match.Score * 100 / Math.sqrt(wordCount);
 
-            for(var ind in occurrences)
-            {
-                var entry = occurrences[ind];
+        // Topics with the keywords in their title are usually the ones wanted so they get a strong boost.  Type
+        // and namespace topics are preferred over the member list pages that repeat the names of their members.
+        rank *= 1 + 3 * GetTitleScore(query, title) / query.Required.length;
 
-                // These are 64-bit numbers but JavaScript only does bit shifts on 32-bit values so we divide
-                // by 2^16 to get the same effect as ">> 16" and use floor() to truncate the result.
-                if(Math.floor(entry / Math.pow(2, 16)) == matchingIdx)
-                    matchCount += (entry & 0xFFFF);
-            }
-        }
+        if(/ (Namespace|Class|Interface|Structure|Enumeration|Delegate)$/.test(title))
+            rank *= 1.5;
+        else
+            if(/ (Members|Methods|Properties|Events|Fields|Operators|Constructors)$/.test(title))
+                rank *= 0.5;
 
-        rankings.push({ Filename: filename, PageTitle: title, Rank: matchCount * 1000 / wordCount });
+        // Topics that contain the keywords themselves rather than only longer words starting with them get a
+        // smaller boost.  It is part of the rank so that a keyword in the title still counts for more.
+        rank *= 1 + match.ExactMatches / query.Required.length;
 
-        if(rankings.length > 99)
-            break;
+        rankings.push({ Filename: filename, PageTitle: title, Rank: rank });
     }
 
+    return { Rankings: rankings, MatchCount: matchingFileIndices.length };
+}
+
+// Sort the search results and generate a block of HTML containing them.  If wanted, each result is labeled
+// with the documentation set it came from.  Only the first page of results is shown.  The rest are included but
+// hidden until the "show more" link is clicked.
+function FormatSearchResults(results, sortByTitle, showDocSet)
+{
+    var rankings = results.Rankings;
+
+    if(rankings.length == 0)
+        return "<strong>Nothing found</strong>";
+
     rankings.sort(function(x, y)
     {
         if(!sortByTitle)
@@ -608,17 +2754,104 @@ function SearchForKeywords(keywords, fileInfo, wordDictionary, sortByTitle)
         return x.PageTitle.localeCompare(y.PageTitle);
     });
 
-    // Format and return the results
     var content = "<ol>";
 
-    for(var r in rankings)
-        content += "<li><a href=\"" + rankings[r].Filename + "\" target=\"_blank\">" +
+    for(var r = 0; r < rankings.length; r++)
+        content += "<li" + (r >= searchResultsPageSize ? " class=\"searchResultMore\"" : "") + ">" +
+            (showDocSet ? "<span class=\"searchResultDocSet\">" + HtmlEncode(rankings[r].DocSet) +
+            "</span>" : "") + "<a href=\"" + rankings[r].Filename + "\" target=\"_blank\">" +
             rankings[r].PageTitle + "</a></li>";
 
     content += "</ol>";
 
-    if(rankings.length < matchingFileIndices.length)
-        content += "<p>Omitted " + (matchingFileIndices.length - rankings.length) + " more results</p>";
+    if(rankings.length > searchResultsPageSize)
+        content += "<p class=\"searchShowMore\"><a href=\"#!\" onclick=\"javascript: " +
+            "ShowMoreSearchResults(this); return false;\">Show more results</a> <span>(" +
+            (rankings.length - searchResultsPageSize) + " more)</span></p>";
 
     return content;
 }
+
+// Show the next page of hidden search results and hide the "show more" link once they have all been shown
+function ShowMoreSearchResults(link)
+{
+    var searchResults = document.getElementById("searchResults");
+    var hidden = $(searchResults).find("li.searchResultMore");
+    var items = hidden.slice(0, searchResultsPageSize);
+
+    items.removeClass("searchResultMore");
+
+    if(hidden.length > items.length)
+        $(link).next("span").text("(" + (hidden.length - items.length) + " more)");
+    else
+        $(link).parent().remove();
+
+    ShowSearchResultExcerpts(items, $(searchResults).attr("data-keywords").split(" "));
+}
+
+// Find the word in the dictionary closest to the given word, allowing one typo in short words and two in
+// longer ones.  If several words are equally close, the one found in the most files wins.  Null is returned if
+// there is no word close enough.
+function FindClosestWord(word, wordDictionary)
+{
+    var limit = (word.length > 4) ? 2 : 1;
+    var closestWord = null, closestDistance = limit + 1, closestFileCount = 0;
+
+    for(var candidate in wordDictionary)
+        if(wordDictionary.hasOwnProperty(candidate) && Math.abs(candidate.length - word.length) <= limit)
+        {
+            var distance = GetEditDistance(word, candidate, limit);
+            var fileCount = wordDictionary[candidate].length;
+
+            if(distance <= limit && (distance < closestDistance || (distance == closestDistance &&
+              fileCount > closestFileCount)))
+            {
+                closestWord = candidate;
+                closestDistance = distance;
+                closestFileCount = fileCount;
+            }
+        }
+
+    return closestWord;
+}
+
+// Get the edit distance between two words.  This is the number of single character insertions, deletions,
+// substitutions, or transpositions of adjacent characters needed to turn one into the other.  Once the limit
+// is certain to be exceeded, the comparison stops and a value greater than the limit is returned.
+function GetEditDistance(first, second, limit)
+{
+    var previousRow = null, row = [], nextRow;
+
+    for(var col = 0; col <= second.length; col++)
+        row.push(col);
+
+    for(var idx = 1; idx <= first.length; idx++)
+    {
+        var rowMinimum = idx;
+
+        nextRow = [idx];
+
+        for(col = 1; col <= second.length; col++)
+        {
+            var cost = (first.charAt(idx - 1) == second.charAt(col - 1)) ? 0 : 1;
+            var distance = Math.min(row[col] + 1, nextRow[col - 1] + 1, row[col - 1] + cost);
+
+            if(previousRow != null && col > 1 && first.charAt(idx - 1) == second.charAt(col - 2) &&
+              first.charAt(idx - 2) == second.charAt(col - 1))
+            {
+                distance = Math.min(distance, previousRow[col - 2] + 1);
+            }
+
+            nextRow.push(distance);
+            rowMinimum = Math.min(rowMinimum, distance);
+        }
+
+        if(rowMinimum > limit)
+            return limit + 1;
+
+        previousRow = row;
+        row = nextRow;
+    }
+
+    return row[second.length];
+}
@@ -79,40 +79,22 @@ function OnLoad(defaultLanguage)
     {
     }
 
-    var language = GetCookie("CodeSnippetContainerLanguage", defLang);
+    // A language given in the query string is used for this page only so that links can show a specific
+    // language without changing the user's choice.
+    var language = GetQueryStringLanguage();
 
-    // If LST exists on the page, set the LST to show the user selected programming language
-    UpdateLST(language);
-
-    // If code snippet groups exist, set the current language for them
-    if(allTabSetIds.length > 0)
-    {
-        var i = 0;
-
-        while(i < allTabSetIds.length)
-        {
-            var tabCount = 1;
-
-            // The tab count may vary so find the last one in this set
-            while(document.getElementById(allTabSetIds[i] + "_tab" + tabCount) != null)
-                tabCount++;
+    if(language == null)
+        language = GetCookie("CodeSnippetContainerLanguage", defLang);
 
-            tabCount--;
-
-            // If not grouped, skip it
-            if(tabCount < 2)
-            {
-                // Disable the Copy Code link if in Chrome
-                if(navigator.userAgent.toLowerCase().indexOf("chrome") != -1)
-                    document.getElementById(allTabSetIds[i] + "_copyCode").style.display = "none";
-            }
-            else
-                SetCurrentLanguage(allTabSetIds[i], language, tabCount);
+    InitializeLanguagePicker();
 
-            i++;
-        }
-    }
+    // Set the LST and the current language of the code snippet groups to the user selected programming
+    // language.
+    SelectLanguage(language, null);
 
+    HighlightCodeSnippets();
+    InitializeSections();
+    InitializeCodeLines();
     InitializeToc();
 }
 
@@ -205,68 +187,271 @@ function UpdateLST(language)
     }
 }
 
-// Get the specified cookie.  If not found, return the specified default value.
+// Settings persistence.  Settings are kept in the first storage backend that works in the current environment.
+// Each backend has an IsAvailable method used to detect whether or not it can be used, a Load method that
+// returns null if a value has not been saved, and a Save method.
+var settingsStorage = null;
+var sessionValueStorage = null;
+
+// The names of the settings that were always kept in cookies before other storage backends could be used.
+// They are moved to local storage the first time that it is used.
+var cookieSettingNames = ["CodeSnippetContainerLanguage", "TocWidth", "CollapsedSections"];
+
+// Get the specified setting.  If not found, return the specified default value.  The name is kept from when
+// settings were always stored in cookies.
 function GetCookie(cookieName, defaultValue)
 {
-    if(isHelp1)
+    try
     {
-        try
+        var value = GetSettingsStorage().Load(cookieName);
+
+        return (value == null) ? defaultValue : value;
+    }
+    catch(e)
+    {
+        return defaultValue;
+    }
+}
+
+// Set the specified setting to the specified value
+function SetCookie(name, value)
+{
+    try
+    {
+        GetSettingsStorage().Save(name, value);
+    }
+    catch(e)
+    {
+        // The storage may be full or may have been disabled since it was checked
+    }
+}
+
+// Get a value that only needs to be kept for the current browser session.  If not found, return the specified
+// default value.
+function GetSessionValue(name, defaultValue)
+{
+    try
+    {
+        var value = GetSessionValueStorage().Load(name);
+
+        return (value == null) ? defaultValue : value;
+    }
+    catch(e)
+    {
+        return defaultValue;
+    }
+}
+
+// Set a value that only needs to be kept for the current browser session
+function SetSessionValue(name, value)
+{
+    try
+    {
+        GetSessionValueStorage().Save(name, value);
+    }
+    catch(e)
+    {
+        // The storage may be full or may have been disabled since it was checked
+    }
+}
+
+// Get the storage backend used for settings.  The CHM viewer only supports user data.  Otherwise, local
+// storage is preferred as cookies do not work for local files and are sent with every request.  Session
+// storage and memory only keep settings for the session or the page but are better than nothing.
+function GetSettingsStorage()
+{
+    if(settingsStorage == null)
+    {
+        settingsStorage = FindAvailableStorage([Help1Storage, LocalStorage, CookieStorage, SessionStorage,
+            MemoryStorage]);
+
+        if(settingsStorage == LocalStorage)
+            MigrateCookieSettings();
+    }
+
+    return settingsStorage;
+}
+
+// Get the storage backend used for values that only need to be kept for the current browser session
+function GetSessionValueStorage()
+{
+    if(sessionValueStorage == null)
+        sessionValueStorage = FindAvailableStorage([SessionStorage, Help1Storage, CookieStorage, MemoryStorage]);
+
+    return sessionValueStorage;
+}
+
+// Return the first of the given storage backends that is available.  The last one should always be.
+function FindAvailableStorage(backends)
+{
+    for(var i = 0; i < backends.length - 1; i++)
+        if(backends[i].IsAvailable())
+            return backends[i];
+
+    return backends[backends.length - 1];
+}
+
+// Move the settings saved in cookies to local storage.  This is only done once.  The cookies are deleted
+// afterwards so that they are no longer sent with every request.
+function MigrateCookieSettings()
+{
+    if(LocalStorage.Load("CookiesMigrated") != null || !CookieStorage.IsAvailable())
+        return;
+
+    for(var i = 0; i < cookieSettingNames.length; i++)
+    {
+        var value = CookieStorage.Load(cookieSettingNames[i]);
+
+        if(value != null)
+        {
+            if(LocalStorage.Load(cookieSettingNames[i]) == null)
+                LocalStorage.Save(cookieSettingNames[i], value);
+
+            CookieStorage.Remove(cookieSettingNames[i]);
+        }
+    }
+
+    LocalStorage.Save("CookiesMigrated", "true");
+}
+
+// Create a storage backend for one of the web storage objects (localStorage or sessionStorage).  Accessing
+// them throws an exception in some browsers if they are disabled or cannot be used for local files so a test
+// value is saved to see if they work.
+function CreateWebStorage(storageName)
+{
+    return {
+        IsAvailable: function()
         {
-            var globals = Help1Globals;
+            try
+            {
+                var storage = window[storageName];
 
-            var value = globals.Load(cookieName);
+                storage.setItem("StorageTest", "1");
+                storage.removeItem("StorageTest");
 
-            if(value == null)
-                value = defaultValue;
+                return true;
+            }
+            catch(e)
+            {
+                return false;
+            }
+        },
+
+        Load: function(key)
+        {
+            return window[storageName].getItem(key);
+        },
 
-            return value;
+        Save: function(key, value)
+        {
+            window[storageName].setItem(key, value);
         }
-        catch(e)
+    };
+}
+
+var LocalStorage = CreateWebStorage("localStorage");
+var SessionStorage = CreateWebStorage("sessionStorage");
+
+// Cookie storage.  Cookies are kept for 60 days.
+var CookieStorage =
+{
+    IsAvailable: function()
+    {
+        if(!navigator.cookieEnabled)
+            return false;
+
+        this.Save("StorageTest", "1");
+
+        var isAvailable = (this.Load("StorageTest") == "1");
+
+        this.Remove("StorageTest");
+
+        return isAvailable;
+    },
+
+    Load: function(key)
+    {
+        var cookie = document.cookie.split("; ");
+
+        for(var i = 0; i < cookie.length; i++)
         {
-            return defaultValue;
+            var crumb = cookie[i].split("=");
+
+            if(key == crumb[0])
+                return unescape(crumb[1])
         }
-    }
 
-    var cookie = document.cookie.split("; ");
+        return null;
+    },
 
-    for(var i = 0; i < cookie.length; i++)
+    Save: function(key, value)
     {
-        var crumb = cookie[i].split("=");
+        var today = new Date();
 
-        if(cookieName == crumb[0])
-            return unescape(crumb[1])
-    }
+        today.setTime(today.getTime());
 
-    return defaultValue;
-}
+        // Set the expiration time to be 60 days from now (in milliseconds)
+        var expires_date = new Date(today.getTime() + (60 * 1000 * 60 * 60 * 24));
 
-// Set the specified cookie to the specified value
-function SetCookie(name, value)
+        document.cookie = key + "=" + escape(value) + ";expires=" + expires_date.toGMTString() + ";path=/";
+    },
+
+    Remove: function(key)
+    {
+        document.cookie = key + "=;expires=" + new Date(0).toGMTString() + ";path=/";
+    }
+};
+
+// Help 1 user data storage.  This uses the Help 1 persistence object below.
+var Help1Storage =
 {
-    if(isHelp1)
+    IsAvailable: function()
     {
+        if(!isHelp1 || Help1Globals.UserDataCache() == null)
+            return false;
+
         try
         {
-            var globals = Help1Globals;
-
-            globals.Save(name, value);
+            Help1Globals.Load("StorageTest");
+            return true;
         }
         catch(e)
         {
+            return false;
         }
+    },
 
-        return;
+    Load: function(key)
+    {
+        return Help1Globals.Load(key);
+    },
+
+    Save: function(key, value)
+    {
+        Help1Globals.Save(key, value);
     }
+};
 
-    var today = new Date();
+// In-memory storage.  This is always available but values only last until the page is unloaded.
+var MemoryStorage =
+{
+    Values: new Object(),
 
-    today.setTime(today.getTime());
+    IsAvailable: function()
+    {
+        return true;
+    },
 
-    // Set the expiration time to be 60 days from now (in milliseconds)
-    var expires_date = new Date(today.getTime() + (60 * 1000 * 60 * 60 * 24));
+    Load: function(key)
+    {
+        return this.Values.hasOwnProperty(key) ? this.Values[key] : null;
+    },
 
-    document.cookie = name + "=" + escape(value) + ";expires=" + expires_date.toGMTString() + ";path=/";
-}
+    Save: function(key, value)
+    {
+        this.Values[key] = String(value);
+    }
+};
 
 // Add a language-specific text ID
 function AddLanguageSpecificTextSet(lstId)
@@ -287,114 +472,257 @@ function ChangeTab(tabSetId, language, snippetIdx, snippetCount)
 {
     SetCookie("CodeSnippetContainerLanguage", language);
 
-    SetActiveTab(tabSetId, snippetIdx, snippetCount);
+    ActivateTab(GetTabSet(tabSetId), parseInt(snippetIdx, 10) - 1);
+    SelectLanguage(language, tabSetId);
+}
 
+// Show the given language in the LST spans, the language picker, and all code snippet groups other than the
+// one given.  The language can also be "all" to show the neutral LST text and every tab of the code snippet
+// groups.
+function SelectLanguage(language, exceptTabSetId)
+{
     // If LST exists on the page, set the LST to show the user selected programming language
-    UpdateLST(language);
+    UpdateLST(language == "all" ? "nu" : language);
+
+    var picker = document.getElementById("languagePickerList");
+
+    if(picker != null)
+    {
+        picker.value = language;
 
-    var i = 0;
+        if(picker.value != language)
+            picker.selectedIndex = -1;
+    }
 
-    while(i < allTabSetIds.length)
+    for(var i = 0; i < allTabSetIds.length; i++)
     {
         // We just care about other snippets
-        if(allTabSetIds[i] != tabSetId)
+        if(allTabSetIds[i] != exceptTabSetId)
         {
-            // Other tab sets may not have the same number of tabs
-            var tabCount = 1;
+            // Other tab sets may not have the same number of tabs.  If not grouped, skip it.
+            var tabSet = GetTabSet(allTabSetIds[i]);
+
+            if(tabSet.Tabs.length > 1)
+            {
+                if(language == "all")
+                    ShowAllTabs(tabSet);
+                else
+                    SelectTabSetLanguage(tabSet, language);
+            }
+        }
+    }
+}
 
-            while(document.getElementById(allTabSetIds[i] + "_tab" + tabCount) != null)
-                tabCount++;
+// The languages offered by the language picker
+var pickerLanguages = [
+    { Id: "cs", Name: "C#" },
+    { Id: "vb", Name: "VB" },
+    { Id: "cpp", Name: "C++" },
+    { Id: "fs", Name: "F#" },
+    { Id: "all", Name: "All" }
+];
 
-            tabCount--;
+// Other names that may be used for the languages in the lang query string parameter
+var languageAliases = { "c#": "cs", csharp: "cs", vbnet: "vb", "c++": "cpp", fsharp: "fs", "f#": "fs" };
 
-            // If not grouped, skip it
-            if(tabCount > 1)
-                SetCurrentLanguage(allTabSetIds[i], language, tabCount);
-        }
+// Get the language from the lang query string parameter or null if there isn't one or it is not recognized
+function GetQueryStringLanguage()
+{
+    var match = /[?&]lang=([^&#]*)/i.exec(document.location.search);
 
-        i++;
-    }
+    if(match == null)
+        return null;
+
+    var language = decodeURIComponent(match[1].replace(/\+/g, " ")).toLowerCase();
+
+    if(languageAliases.hasOwnProperty(language))
+        language = languageAliases[language];
+
+    for(var i = 0; i < pickerLanguages.length; i++)
+        if(pickerLanguages[i].Id == language)
+            return language;
+
+    return null;
 }
 
-// Sets the current language in the specified tab set
-function SetCurrentLanguage(tabSetId, language, tabCount)
+// Add the language picker to the page header.  It is only added to pages that have language-specific content.
+function InitializeLanguagePicker()
 {
-    var tabIndex = 1;
+    var header = document.getElementById("PageHeader"), hasLST = false;
 
-    while(tabIndex <= tabCount)
+    for(var lstMember in allLSTSetIds)
     {
-        var tabTemp = document.getElementById(tabSetId + "_tab" + tabIndex);
-
-        if(tabTemp != null && tabTemp.innerHTML.indexOf("'" + language + "'") != -1)
-            break;
+        hasLST = true;
+        break;
+    }
 
-        tabIndex++;
+    if(header == null || document.getElementById("languagePicker") != null || (allTabSetIds.length == 0 &&
+      !hasLST))
+    {
+        return;
     }
 
-    if(tabIndex > tabCount)
+    var picker = document.createElement("div"), label = document.createElement("label"),
+        list = document.createElement("select");
+
+    picker.id = "languagePicker";
+    list.id = "languagePickerList";
+    label.htmlFor = list.id;
+    label.appendChild(document.createTextNode("Language: "));
+
+    for(var i = 0; i < pickerLanguages.length; i++)
     {
-        // Select the first non-disabled tab
-        tabIndex = 1;
+        var option = document.createElement("option");
+
+        option.value = pickerLanguages[i].Id;
+        option.appendChild(document.createTextNode(pickerLanguages[i].Name));
+        list.appendChild(option);
+    }
 
-        if(document.getElementById(tabSetId + "_tab1").className == "codeSnippetContainerTabPhantom")
+    list.onchange = function()
+    {
+        if(list.selectedIndex != -1)
         {
-            tabIndex++;
+            SetCookie("CodeSnippetContainerLanguage", list.value);
+            SelectLanguage(list.value, null);
+        }
+    };
 
-            while(tabIndex <= tabCount)
-            {
-                var tab = document.getElementById(tabSetId + "_tab" + tabIndex);
+    picker.appendChild(label);
+    picker.appendChild(list);
 
-                if(tab.className != "codeSnippetContainerTabPhantom")
-                {
-                    tab.className = "codeSnippetContainerTabActive";
-                    document.getElementById(tabSetId + "_code_Div" + j).style.display = "block";
-                    break;
-                }
+    var searchForm = document.getElementById("SearchForm");
 
-                tabIndex++;
-            }
-        }
+    if(searchForm != null && searchForm.parentNode == header)
+        header.insertBefore(picker, searchForm);
+    else
+        header.appendChild(picker);
+}
+
+// Get a description of a tab set.  Each tab is described by its tab and code elements, its language ID, and
+// whether or not it is a phantom tab.  Phantom tabs are placeholders for languages that have no code in the
+// snippet.  The elements of a tab set may be incomplete so a tab's code element may be null.
+function GetTabSet(tabSetId)
+{
+    var tabSet = { Id: tabSetId, Container: null, Tabs: [] }, tab, i = 1;
+
+    while((tab = document.getElementById(tabSetId + "_tab" + i)) != null)
+    {
+        tabSet.Tabs.push({
+            Tab: tab,
+            Code: document.getElementById(tabSetId + "_code_Div" + i),
+            Language: GetTabLanguage(tab),
+            IsPhantom: (tab.className == "codeSnippetContainerTabPhantom")
+        });
+
+        i++;
     }
 
-    SetActiveTab(tabSetId, tabIndex, tabCount);
+    if(tabSet.Tabs.length != 0 && tabSet.Tabs[0].Tab.parentNode != null)
+        tabSet.Container = tabSet.Tabs[0].Tab.parentNode.parentNode;
+
+    return tabSet;
 }
 
-// Set the active tab within a tab set
-function SetActiveTab(tabSetId, tabIndex, tabCount)
+// Get the index of the tab to show for a language.  The first tab with code for the language is used.  If
+// there isn't one, the neutral language tab is used, then the first tab with code.  If no tab has code, the
+// first tab is used.  Returns -1 if the tab set has no tabs.
+function FindLanguageTab(tabSet, language)
 {
-    var i = 1;
+    var preferences = [language, "nu"], i, j;
+
+    for(i = 0; i < preferences.length; i++)
+        for(j = 0; j < tabSet.Tabs.length; j++)
+            if(HasTabCode(tabSet.Tabs[j]) && tabSet.Tabs[j].Language == preferences[i])
+                return j;
+
+    for(j = 0; j < tabSet.Tabs.length; j++)
+        if(HasTabCode(tabSet.Tabs[j]))
+            return j;
+
+    return (tabSet.Tabs.length != 0) ? 0 : -1;
+}
+
+// See if a tab has code to show.  Phantom tabs and tabs without a code element do not.
+function HasTabCode(tab)
+{
+    return (!tab.IsPhantom && tab.Code != null);
+}
+
+// Show the tab for the given language in a tab set
+function SelectTabSetLanguage(tabSet, language)
+{
+    ActivateTab(tabSet, FindLanguageTab(tabSet, language));
+}
+
+// Make the tab at the given index the active tab of a tab set and show its code.  Phantom tabs are only shown
+// when they are the active tab.
+function ActivateTab(tabSet, tabIndex)
+{
+    if(tabIndex < 0 || tabIndex >= tabSet.Tabs.length)
+        return;
+
+    if(tabSet.Container != null)
+        tabSet.Container.className = tabSet.Container.className.replace(/\s*\ballLanguages\b/g, "");
 
-    while(i <= tabCount)
+    for(var i = 0; i < tabSet.Tabs.length; i++)
     {
-        var tabTemp = document.getElementById(tabSetId + "_tab" + i);
+        var tab = tabSet.Tabs[i], isActive = (i == tabIndex);
 
-        if(tabTemp.className == "codeSnippetContainerTabActive")
-            tabTemp.className = "codeSnippetContainerTab";
+        if(tab.IsPhantom)
+            tab.Tab.style.display = isActive ? "block" : "none";
         else
-            if(tabTemp.className == "codeSnippetContainerTabPhantom")
-                tabTemp.style.display = "none";
+        {
+            tab.Tab.className = isActive ? "codeSnippetContainerTabActive" : "codeSnippetContainerTab";
+            tab.Tab.style.display = "";
+        }
 
-        var codeTemp = document.getElementById(tabSetId + "_code_Div" + i);
+        if(tab.Code != null)
+            tab.Code.style.display = isActive ? "block" : "none";
+    }
 
-        if(codeTemp.style.display != "none")
-            codeTemp.style.display = "none";
+    var copyCode = document.getElementById(tabSet.Id + "_copyCode");
 
-        i++;
+    if(copyCode != null)
+        copyCode.style.display = "inline";
+}
+
+// Show the code of every language in a tab set one after the other.  Phantom tabs have no code of their own
+// so they are hidden.
+function ShowAllTabs(tabSet)
+{
+    for(var i = 0; i < tabSet.Tabs.length; i++)
+    {
+        var tab = tabSet.Tabs[i];
+
+        if(!tab.IsPhantom)
+            tab.Tab.className = "codeSnippetContainerTabActive";
+
+        tab.Tab.style.display = tab.IsPhantom ? "none" : "";
+
+        if(tab.Code != null)
+        {
+            tab.Code.setAttribute("data-languageName", tab.Tab.innerText || tab.Tab.textContent);
+            tab.Code.style.display = tab.IsPhantom ? "none" : "block";
+        }
     }
 
-    // Phantom tabs are shown or hidden as needed
-    if(document.getElementById(tabSetId + "_tab" + tabIndex).className != "codeSnippetContainerTabPhantom")
-        document.getElementById(tabSetId + "_tab" + tabIndex).className = "codeSnippetContainerTabActive";
-    else
-        document.getElementById(tabSetId + "_tab" + tabIndex).style.display = "block";
+    if(tabSet.Container != null && !/\ballLanguages\b/.test(tabSet.Container.className))
+        tabSet.Container.className += " allLanguages";
+}
 
-    document.getElementById(tabSetId + "_code_Div" + tabIndex).style.display = "block";
+// Sets the current language in the specified tab set.  The tab count is no longer needed but is kept for
+// compatibility with existing callers.
+function SetCurrentLanguage(tabSetId, language, tabCount)
+{
+    SelectTabSetLanguage(GetTabSet(tabSetId), language);
+}
 
-    // Show copy code button if not in Chrome
-    if(navigator.userAgent.toLowerCase().indexOf("chrome") == -1)
-        document.getElementById(tabSetId + "_copyCode").style.display = "inline";
-    else
-        document.getElementById(tabSetId + "_copyCode").style.display = "none";
+// Set the active tab within a tab set.  The tab index is one-based.  The tab count is no longer needed but is
+// kept for compatibility with existing callers.
+function SetActiveTab(tabSetId, tabIndex, tabCount)
+{
+    ActivateTab(GetTabSet(tabSetId), parseInt(tabIndex, 10) - 1);
 }
 
 // Copy the code from the active tab of the given tab set to the clipboard
@@ -418,66 +746,662 @@ function CopyToClipboard(tabSetId)
     if(tabTemp == null)
         return;
 
+    var codeText = GetCodeText(tabTemp);
+
+    // The clipboard API is only available in secure contexts and may be refused.  If so, fall back to the
+    // older methods.
+    if(navigator.clipboard && navigator.clipboard.writeText && window.isSecureContext)
+    {
+        navigator.clipboard.writeText(codeText).then(function()
+        {
+            ShowCopyFeedback(tabSetId, true);
+        },
+        function()
+        {
+            ShowCopyFeedback(tabSetId, CopyTextWithSelection(codeText), tabTemp);
+        });
+    }
+    else
+        ShowCopyFeedback(tabSetId, CopyTextWithSelection(codeText), tabTemp);
+}
+
+// Get the text of a code block.  The pre element's text content keeps the line breaks and indentation.
+function GetCodeText(codeDiv)
+{
+    var pre = codeDiv.getElementsByTagName("pre")[0] || codeDiv;
+    var text = (typeof (pre.textContent) != "undefined") ? pre.textContent : pre.innerText;
+
+    return text.replace(/\r\n?/g, "\n");
+}
+
+// Copy the given text using the clipboard data object in IE or a temporary text area and the copy command in
+// other browsers.  Returns true if the text was copied, false if not.
+function CopyTextWithSelection(text)
+{
     if(window.clipboardData)
     {
         try
         {
-            window.clipboardData.setData("Text", document.getElementById(contentId).innerText);
+            return window.clipboardData.setData("Text", text);
         }
         catch(e)
         {
-            alert("Permission denied. Enable copying to the clipboard.");
+            return false;
         }
     }
-    else if(window.netscape)
+
+    var textArea = document.createElement("textarea"), copied = false;
+
+    // Keep it out of view and stop the page from scrolling to it
+    textArea.value = text;
+    textArea.setAttribute("readonly", "");
+    textArea.style.position = "fixed";
+    textArea.style.top = "0px";
+    textArea.style.left = "-9999px";
+
+    document.body.appendChild(textArea);
+
+    try
     {
-        try
-        {
-            netscape.security.PrivilegeManager.enablePrivilege("UniversalXPConnect");
+        textArea.select();
+        copied = document.execCommand("copy");
+    }
+    catch(e)
+    {
+        copied = false;
+    }
 
-            var clip = Components.classes["@mozilla.org/widget/clipboard;1"].createInstance(
-                Components.interfaces.nsIClipboard);
+    document.body.removeChild(textArea);
 
-            if(!clip)
-                return;
+    return copied;
+}
 
-            var trans = Components.classes["@mozilla.org/widget/transferable;1"].createInstance(
-                Components.interfaces.nsITransferable);
+// Briefly show the result of a copy in the tab set's Copy link.  If the copy failed, the code is selected so
+// that the user can copy it with the keyboard.
+function ShowCopyFeedback(tabSetId, copied, codeDiv)
+{
+    var copyCode = document.getElementById(tabSetId + "_copyCode");
 
-            if(!trans)
-                return;
+    if(!copied && codeDiv)
+        SelectElementText(codeDiv.getElementsByTagName("pre")[0] || codeDiv);
 
-            trans.addDataFlavor("text/unicode");
+    if(copyCode == null)
+        return;
 
-            var str = new Object();
-            var len = new Object();
-            var str = Components.classes["@mozilla.org/supports-string;1"].createInstance(
-                Components.interfaces.nsISupportsString);
+    if(copyCode.getAttribute("data-copyText") == null)
+        copyCode.setAttribute("data-copyText", copyCode.innerHTML);
 
-            var copytext = document.getElementById(contentId).textContent;
+    copyCode.innerHTML = copied ? "Copied!" : "Press Ctrl+C to copy";
+    copyCode.className = copied ? "copyCodeSucceeded" : "copyCodeFailed";
 
-            str.data = copytext;
-            trans.setTransferData("text/unicode", str, copytext.length * 2);
+    if(copyCode.copyFeedbackTimer)
+        clearTimeout(copyCode.copyFeedbackTimer);
 
-            var clipid = Components.interfaces.nsIClipboard;
+    copyCode.copyFeedbackTimer = setTimeout(function()
+    {
+        copyCode.innerHTML = copyCode.getAttribute("data-copyText");
+        copyCode.className = "";
+        copyCode.copyFeedbackTimer = null;
+    }, 2000);
+}
 
-            clip.setData(trans, null, clipid.kGlobalClipboard);
-        }
-        catch(e)
+// Select the text of an element
+function SelectElementText(element)
+{
+    try
+    {
+        if(window.getSelection && document.createRange)
         {
-            alert("Permission denied. Enter \"about:config\" in the address bar and double-click the \"signed.applets.codebase_principal_support\" setting to enable copying to the clipboard.");
+            var range = document.createRange(), selection = window.getSelection();
+
+            range.selectNodeContents(element);
+            selection.removeAllRanges();
+            selection.addRange(range);
         }
+        else
+            if(document.body.createTextRange)
+            {
+                var textRange = document.body.createTextRange();
+
+                textRange.moveToElementText(element);
+                textRange.select();
+            }
+    }
+    catch(e)
+    {
+        // Nothing more can be done, the user will have to select the text
+    }
+}
+
+// The grammars used to highlight code snippets keyed by the language IDs used in the code snippet tabs.  Each
+// one lists the keywords and the patterns for the other token types.  The token type patterns are tried in the
+// order listed at each position.
+var codeGrammars =
+{
+    cs: {
+        Keywords: "abstract as async await base bool break byte case catch char checked class const continue " +
+            "decimal default delegate do double dynamic else enum event explicit extern false finally fixed " +
+            "float for foreach get goto if implicit in int interface internal is lock long nameof namespace new " +
+            "null object operator out override params partial private protected public readonly ref return " +
+            "sbyte sealed set short sizeof stackalloc static string struct switch this throw true try typeof " +
+            "uint ulong unchecked unsafe ushort using value var virtual void volatile when where while yield",
+        Comment: "//.*|/\\*[\\s\\S]*?\\*/",
+        Literal: "@\"(?:[^\"]|\"\")*\"|\"(?:[^\"\\\\\\n]|\\\\.)*\"|'(?:[^'\\\\\\n]|\\\\.)+'",
+        Preprocessor: "^[ \\t]*#[a-zA-Z]+"
+    },
+    vb: {
+        Keywords: "AddHandler AddressOf Alias And AndAlso As Async Await Boolean ByRef Byte ByVal Call Case " +
+            "Catch CBool CByte CChar CDate CDbl CDec Char CInt Class CLng CObj Const Continue CSByte CShort " +
+            "CSng CStr CType CUInt CULng CUShort Date Decimal Declare Default Delegate Dim DirectCast Do Double " +
+            "Each Else ElseIf End Enum Erase Error Event Exit False Finally For Friend Function Get GetType " +
+            "Global GoTo Handles If Implements Imports In Inherits Integer Interface Is IsNot Iterator Let Lib " +
+            "Like Long Loop Me Mod Module MustInherit MustOverride MyBase MyClass Namespace Narrowing New Next " +
+            "Not Nothing NotInheritable NotOverridable Object Of On Operator Option Optional Or OrElse " +
+            "Overloads Overridable Overrides ParamArray Partial Private Property Protected Public RaiseEvent " +
+            "ReadOnly ReDim RemoveHandler Resume Return SByte Select Set Shadows Shared Short Single Static " +
+            "Step Stop String Structure Sub SyncLock Then Throw To True Try TryCast TypeOf UInteger ULong " +
+            "UShort Using When While Widening With WithEvents WriteOnly Xor Yield",
+        IgnoreCase: true,
+        Comment: "(?:'|\\bREM\\b).*",
+        Literal: "\"(?:[^\"\\n]|\"\")*\"c?",
+        Preprocessor: "^[ \\t]*#[a-zA-Z]+"
+    },
+    cpp: {
+        Keywords: "abstract array auto bool break case catch char class const const_cast continue default " +
+            "delegate delete do double dynamic_cast else enum event explicit extern false finally float for " +
+            "friend gcnew generic goto if initonly inline int interface interior_ptr literal long mutable " +
+            "namespace new nullptr operator override private property protected public ref register " +
+            "reinterpret_cast return sealed short signed sizeof static static_cast struct switch template this " +
+            "throw true try typedef typeid typename union unsigned using value virtual void volatile wchar_t " +
+            "while",
+        Comment: "//.*|/\\*[\\s\\S]*?\\*/",
+        Literal: "L?\"(?:[^\"\\\\\\n]|\\\\.)*\"|L?'(?:[^'\\\\\\n]|\\\\.)+'",
+        Preprocessor: "^[ \\t]*#[a-zA-Z]+"
+    },
+    fs: {
+        Keywords: "abstract and as assert base begin class default delegate do done downcast downto elif else " +
+            "end exception extern false finally for fun function get global if in inherit inline interface " +
+            "internal lazy let match member module mutable namespace new not null of open or override private " +
+            "public rec return set sig static struct then to true try type upcast use val void when while with " +
+            "yield",
+        Comment: "//.*|\\(\\*[\\s\\S]*?\\*\\)",
+        Literal: "\"\"\"[\\s\\S]*?\"\"\"|@\"(?:[^\"]|\"\")*\"|\"(?:[^\"\\\\]|\\\\.)*\"|'(?:[^'\\\\\\n]|\\\\.)'",
+        Preprocessor: "^[ \\t]*#[a-zA-Z]+"
+    },
+    js: {
+        Keywords: "async await break case catch class const continue debugger default delete do else export " +
+            "extends false finally for function get if import in instanceof let new null return set static " +
+            "super switch this throw true try typeof undefined var void while with yield",
+        Comment: "//.*|/\\*[\\s\\S]*?\\*/",
+        Literal: "\"(?:[^\"\\\\\\n]|\\\\.)*\"|'(?:[^'\\\\\\n]|\\\\.)*'|`(?:[^`\\\\]|\\\\.)*`"
+    }
+};
+
+// Other language IDs that share a grammar
+codeGrammars.javascript = codeGrammars.jscript = codeGrammars.js;
+codeGrammars.fsharp = codeGrammars.fs;
+codeGrammars.vbnet = codeGrammars.vb;
+
+// Highlight the code in all code snippets on the page.  The grammar is picked from the language ID of the
+// matching tab.
+function HighlightCodeSnippets()
+{
+    for(var i = 0; i < allTabSetIds.length; i++)
+    {
+        var tabs = GetTabSet(allTabSetIds[i]).Tabs;
+
+        for(var j = 0; j < tabs.length; j++)
+            if(tabs[j].Code != null)
+                HighlightCode(tabs[j].Code, tabs[j].Language);
+    }
+}
+
+// Get the language ID from a code snippet tab's ChangeTab call
+function GetTabLanguage(tab)
+{
+    var match = /ChangeTab\([^,]*,\s*'([^']*)'/.exec(tab.innerHTML);
+
+    return (match != null) ? match[1] : null;
+}
+
+// Highlight the code in a code snippet using the grammar for the given language.  The elements added only wrap
+// the existing text so the text content of the code is unchanged.
+function HighlightCode(codeDiv, language)
+{
+    var grammar = (language != null) ? codeGrammars[language.toLowerCase()] : null;
+    var pre = codeDiv.getElementsByTagName("pre")[0];
+
+    if(!grammar || !pre || pre.getAttribute("data-highlighted") != null)
+        return;
+
+    HighlightCodeNodes(pre, GetGrammarRegex(grammar));
+
+    pre.setAttribute("data-highlighted", "true");
+}
+
+// Highlight the text within the child nodes of an element.  The syntax sections already wrap keywords and
+// identifiers in spans.  The keyword spans are given the keyword token style and left as they are.  The text
+// within other elements such as the identifier spans and links is highlighted too.
+function HighlightCodeNodes(element, regex)
+{
+    var node = element.firstChild, next;
+
+    while(node != null)
+    {
+        next = node.nextSibling;
+
+        if(node.nodeType == 3)
+            HighlightTextNode(node, regex);
+        else
+            if(node.nodeType == 1 && !/(^|\s)highlight-/.test(node.className))
+            {
+                if(/(^|\s)keyword(\s|$)/.test(node.className))
+                    node.className += " highlight-keyword";
+                else
+                    HighlightCodeNodes(node, regex);
+            }
+
+        node = next;
+    }
+}
+
+// The token types that a grammar's regular expression matches in the order of its capturing groups
+var highlightTokenTypes = ["comment", "literal", "preprocessor", "number", "keyword"];
+
+// Get the regular expression for a grammar.  It is created when first needed.  Keywords are matched
+// case-sensitively unless the language is case-insensitive.
+function GetGrammarRegex(grammar)
+{
+    if(!grammar.Regex)
+    {
+        var patterns = [grammar.Comment, grammar.Literal, grammar.Preprocessor || "(?!)",
+            "\\b(?:0[xX][0-9a-fA-F]+|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)[a-zA-Z]*\\b",
+            "\\b(?:" + grammar.Keywords.split(" ").join("|") + ")\\b"];
+
+        grammar.Regex = new RegExp("(" + patterns.join(")|(") + ")", grammar.IgnoreCase ? "gim" : "gm");
+    }
+
+    grammar.Regex.lastIndex = 0;
+
+    return grammar.Regex;
+}
+
+// Replace a text node with the highlighted tokens that it contains
+function HighlightTextNode(textNode, regex)
+{
+    var text = textNode.nodeValue, match, lastIndex = 0, fragment = null;
+
+    while((match = regex.exec(text)) != null)
+    {
+        if(match[0].length == 0)
+        {
+            regex.lastIndex++;
+            continue;
+        }
+
+        if(fragment == null)
+            fragment = document.createDocumentFragment();
+
+        if(match.index > lastIndex)
+            fragment.appendChild(document.createTextNode(text.substring(lastIndex, match.index)));
+
+        for(var i = 1; i < match.length; i++)
+            if(match[i] != null)
+            {
+                var span = document.createElement("span");
+
+                span.className = "highlight-" + highlightTokenTypes[i - 1];
+                span.appendChild(document.createTextNode(match[0]));
+                fragment.appendChild(span);
+                break;
+            }
+
+        lastIndex = regex.lastIndex;
+    }
+
+    if(fragment != null)
+    {
+        if(lastIndex < text.length)
+            fragment.appendChild(document.createTextNode(text.substring(lastIndex)));
+
+        textNode.parentNode.replaceChild(fragment, textNode);
+    }
+}
+
+// The line height of code snippets in ems.  This must match the line height in the style sheet as it is used to
+// position the line highlights.
+var codeLineHeight = 1.25;
+
+// The line last clicked in a code snippet.  Shift+clicking another line number in the same snippet links to
+// the range of lines between them.
+var lastCodeLineClicked = null;
+
+// Add line numbers to the code snippets and highlight the lines given in the code snippet's
+// data-highlightLines attribute or the URL hash.  Snippets are numbered by their order on the page and their
+// lines are linked to using a hash such as "#snippet2:L10-14".
+function InitializeCodeLines()
+{
+    if(allTabSetIds.length == 0)
+        return;
+
+    var showNumbers = (GetCookie("CodeLineNumbers", "false") == "true");
+
+    for(var i = 0; i < allTabSetIds.length; i++)
+    {
+        var codeDivs = GetTabSetCodeDivs(allTabSetIds[i]);
+
+        for(var j = 0; j < codeDivs.length; j++)
+        {
+            AddCodeLineNumbers(codeDivs[j], i + 1, showNumbers);
+            HighlightCodeLines(codeDivs[j], ParseLineRanges(GetHighlightLinesAttribute(codeDivs[j])));
+        }
+
+        AddLineNumbersLink(allTabSetIds[i], showNumbers);
+    }
+
+    ShowLinkedCodeLines();
+
+    if(window.addEventListener)
+        window.addEventListener("hashchange", ShowLinkedCodeLines, false);
+    else
+        if(window.attachEvent)
+            window.attachEvent("onhashchange", ShowLinkedCodeLines);
+}
+
+// Get the code elements of a tab set.  Tabs without a code element are skipped.
+function GetTabSetCodeDivs(tabSetId)
+{
+    var tabs = GetTabSet(tabSetId).Tabs, codeDivs = [];
+
+    for(var i = 0; i < tabs.length; i++)
+        if(tabs[i].Code != null)
+            codeDivs.push(tabs[i].Code);
+
+    return codeDivs;
+}
+
+// Get the lines to highlight from the code element or the code snippet container that holds it
+function GetHighlightLinesAttribute(codeDiv)
+{
+    var element = codeDiv;
+
+    while(element != null && element.nodeType == 1)
+    {
+        if(element.getAttribute("data-highlightLines") != null)
+            return element.getAttribute("data-highlightLines");
+
+        if(element.className == "codeSnippetContainer")
+            break;
+
+        element = element.parentNode;
+    }
+
+    return null;
+}
+
+// Parse a list of line ranges such as "10-14,20" into an array of objects with a Start and End line
+function ParseLineRanges(ranges)
+{
+    var lineRanges = [];
+
+    if(ranges == null)
+        return lineRanges;
+
+    var parts = ranges.split(",");
+
+    for(var i = 0; i < parts.length; i++)
+    {
+        var match = /^\s*L?(\d+)(?:\s*-\s*L?(\d+))?\s*$/i.exec(parts[i]);
+
+        if(match != null)
+        {
+            var start = parseInt(match[1], 10), end = match[2] ? parseInt(match[2], 10) : start;
+
+            if(start > 0)
+                lineRanges.push({ Start: Math.min(start, end), End: Math.max(start, end) });
+        }
+    }
+
+    return lineRanges;
+}
+
+// Add the line number gutter to a code element.  The gutter is kept outside of the pre element so that it is
+// not included when the code is copied.
+function AddCodeLineNumbers(codeDiv, snippetNumber, showNumbers)
+{
+    var pre = codeDiv.getElementsByTagName("pre")[0];
+
+    if(!pre)
+        return;
+
+    var lineCount = GetCodeText(codeDiv).replace(/\n$/, "").split("\n").length;
+    var gutter = document.createElement("div");
+
+    gutter.className = "codeLineNumbers";
+
+    for(var line = 1; line <= lineCount; line++)
+    {
+        var link = document.createElement("a");
+
+        link.href = "#snippet" + snippetNumber + ":L" + line;
+        link.title = "Link to this line.  Shift+click to link to a range of lines.";
+        link.appendChild(document.createTextNode(line));
+        link.onclick = CreateCodeLineClickHandler(snippetNumber, line);
+
+        gutter.appendChild(link);
+    }
+
+    codeDiv.insertBefore(gutter, pre);
+    codeDiv.className += " hasCodeLines";
+
+    if(showNumbers)
+        codeDiv.className += " showLineNumbers";
+}
+
+// Create the click handler for a line number
+function CreateCodeLineClickHandler(snippetNumber, line)
+{
+    return function(e)
+    {
+        return OnCodeLineNumberClick(e || window.event, snippetNumber, line);
+    };
+}
+
+// Link to the clicked line or, if Shift is held down, the range from the line last clicked in the same snippet
+function OnCodeLineNumberClick(e, snippetNumber, line)
+{
+    var start = line;
+
+    if(e.shiftKey && lastCodeLineClicked != null && lastCodeLineClicked.Snippet == snippetNumber)
+        start = lastCodeLineClicked.Line;
+    else
+        lastCodeLineClicked = { Snippet: snippetNumber, Line: line };
+
+    var hash = "#snippet" + snippetNumber + ":L" + Math.min(start, line);
+
+    if(start != line)
+        hash += "-" + Math.max(start, line);
+
+    // Replace the hash without scrolling to the top of the snippet if possible
+    if(window.history && history.replaceState)
+    {
+        history.replaceState(history.state, "", hash);
+        ShowLinkedCodeLines(true);
+    }
+    else
+        document.location.hash = hash;
+
+    return false;
+}
+
+// Highlight the lines linked to in the URL hash.  Unless the link came from clicking a line number, the
+// snippet's section is expanded and the first highlighted line is scrolled into view.
+function ShowLinkedCodeLines(keepPosition)
+{
+    var match = /^#snippet(\d+)(?::(L[\d\-,L]+))?$/i.exec(document.location.hash);
+
+    if(match == null)
+        return;
+
+    var snippetNumber = parseInt(match[1], 10);
+
+    if(snippetNumber < 1 || snippetNumber > allTabSetIds.length)
+        return;
+
+    var codeDivs = GetTabSetCodeDivs(allTabSetIds[snippetNumber - 1]), ranges = ParseLineRanges(match[2] || null);
+
+    for(var i = 0; i < codeDivs.length; i++)
+        HighlightCodeLines(codeDivs[i], ranges);
+
+    if(keepPosition === true || codeDivs.length == 0)
+        return;
+
+    // Expand the collapsible section containing the snippet
+    var element = codeDivs[0].parentNode;
+
+    while(element != null && element.nodeType == 1)
+    {
+        if(element.id && /Section$/.test(element.id) &&
+          document.getElementById(element.id.replace(/Section$/, "Toggle")) != null)
+        {
+            SetSectionExpanded(element.id.replace(/Section$/, ""), true);
+        }
+
+        element = element.parentNode;
+    }
+
+    for(i = 0; i < codeDivs.length; i++)
+        if(codeDivs[i].style.display != "none")
+        {
+            var highlights = GetCodeLineHighlights(codeDivs[i]);
+
+            (highlights.length != 0 ? highlights[0] : codeDivs[i]).scrollIntoView();
+            break;
+        }
+}
+
+// Get the line highlight elements in a code element
+function GetCodeLineHighlights(codeDiv)
+{
+    var highlights = [], spans = codeDiv.getElementsByTagName("span");
+
+    for(var i = 0; i < spans.length; i++)
+        if(spans[i].className == "codeLineHighlight")
+            highlights.push(spans[i]);
+
+    return highlights;
+}
+
+// Highlight the given line ranges in a code element.  Any existing highlights are removed.  The highlights are
+// empty elements positioned over the lines so that the code itself is not changed.
+function HighlightCodeLines(codeDiv, ranges)
+{
+    var pre = codeDiv.getElementsByTagName("pre")[0], highlights = GetCodeLineHighlights(codeDiv), i;
+
+    if(!pre)
+        return;
+
+    for(i = 0; i < highlights.length; i++)
+        highlights[i].parentNode.removeChild(highlights[i]);
+
+    var gutter = codeDiv.firstChild;
+
+    if(gutter != null && gutter.className == "codeLineNumbers")
+        for(i = 0; i < gutter.childNodes.length; i++)
+            gutter.childNodes[i].className = IsLineInRanges(i + 1, ranges) ? "highlighted" : "";
+
+    for(i = 0; i < ranges.length; i++)
+    {
+        var highlight = document.createElement("span");
+
+        highlight.className = "codeLineHighlight";
+        highlight.style.top = ((ranges[i].Start - 1) * codeLineHeight) + "em";
+        highlight.style.height = ((ranges[i].End - ranges[i].Start + 1) * codeLineHeight) + "em";
+
+        pre.appendChild(highlight);
+    }
+}
+
+// See if a line is in one of the given line ranges
+function IsLineInRanges(line, ranges)
+{
+    for(var i = 0; i < ranges.length; i++)
+        if(line >= ranges[i].Start && line <= ranges[i].End)
+            return true;
+
+    return false;
+}
+
+// Add the link that shows or hides line numbers to a tab set's toolbar
+function AddLineNumbersLink(tabSetId, showNumbers)
+{
+    var copyCode = document.getElementById(tabSetId + "_copyCode");
+
+    if(copyCode == null)
+        return;
+
+    var link = document.createElement("a");
+
+    link.id = tabSetId + "_lineNumbers";
+    link.href = "#";
+    link.title = "Show or hide line numbers";
+    link.appendChild(document.createTextNode(showNumbers ? "Hide line numbers" : "Line numbers"));
+    link.onclick = function()
+    {
+        ToggleCodeLineNumbers();
+        return false;
+    };
+
+    copyCode.parentNode.insertBefore(link, copyCode);
+}
+
+// Show or hide the line numbers in all code snippets.  The choice is saved for other pages.
+function ToggleCodeLineNumbers()
+{
+    var showNumbers = (GetCookie("CodeLineNumbers", "false") != "true");
+
+    SetCookie("CodeLineNumbers", showNumbers ? "true" : "false");
+
+    for(var i = 0; i < allTabSetIds.length; i++)
+    {
+        var codeDivs = GetTabSetCodeDivs(allTabSetIds[i]), link = document.getElementById(allTabSetIds[i] +
+            "_lineNumbers");
+
+        for(var j = 0; j < codeDivs.length; j++)
+        {
+            codeDivs[j].className = codeDivs[j].className.replace(/\s*showLineNumbers/g, "");
+
+            if(showNumbers)
+                codeDivs[j].className += " showLineNumbers";
+        }
+
+        if(link != null)
+            link.innerHTML = showNumbers ? "Hide line numbers" : "Line numbers";
     }
 }
 
 // Expand or collapse a section
 function SectionExpandCollapse(togglePrefix)
+{
+    var section = document.getElementById(togglePrefix + "Section");
+
+    if(section != null)
+    {
+        var expand = (section.style.display != "");
+
+        SetSectionExpanded(togglePrefix, expand);
+        SaveSectionPreference(GetSectionTitle(togglePrefix), expand);
+    }
+}
+
+// Expand or collapse a section without remembering the choice
+function SetSectionExpanded(togglePrefix, expand)
 {
     var image = document.getElementById(togglePrefix + "Toggle");
     var section = document.getElementById(togglePrefix + "Section");
 
     if(image != null && section != null)
-        if(section.style.display == "")
+        if(!expand)
         {
             image.src = image.src.replace("SectionExpanded.png", "SectionCollapsed.png");
             section.style.display = "none";
@@ -496,6 +1420,112 @@ function SectionExpandCollapse_CheckKey(togglePrefix, eventArgs)
         SectionExpandCollapse(togglePrefix);
 }
 
+// Set up the collapsible sections.  Sections with the same title as those the user collapsed on earlier pages
+// are collapsed, controls to expand or collapse all of them are added, and a section named in the URL
+// fragment (#prefix) is expanded so that it can be linked to directly.
+function InitializeSections()
+{
+    var prefixes = GetSectionPrefixes();
+    var collapsedTitles = GetCookie("CollapsedSections", "").split("|");
+
+    for(var i = 0; i < prefixes.length; i++)
+        for(var j = 0; j < collapsedTitles.length; j++)
+            if(collapsedTitles[j] != "" && collapsedTitles[j] == GetSectionTitle(prefixes[i]))
+                SetSectionExpanded(prefixes[i], false);
+
+    if(prefixes.length > 1)
+    {
+        var controls = document.createElement("div");
+        var firstSection = document.getElementById(prefixes[0] + "Toggle").parentNode.parentNode;
+
+        controls.className = "sectionControls";
+        controls.innerHTML = "<a href=\"#!\" onclick=\"javascript: ExpandCollapseAllSections(true); " +
+            "return false;\">Expand all</a> | <a href=\"#!\" onclick=\"javascript: " +
+            "ExpandCollapseAllSections(false); return false;\">Collapse all</a>";
+
+        firstSection.parentNode.insertBefore(controls, firstSection);
+    }
+
+    ShowLinkedSection();
+
+    if(window.addEventListener)
+        window.addEventListener("hashchange", ShowLinkedSection, false);
+    else
+        if(window.attachEvent)
+            window.attachEvent("onhashchange", ShowLinkedSection);
+}
+
+// Get the prefixes of the collapsible sections on the page.  Each section has a toggle image with an ID of
+// "<prefix>Toggle" and content with an ID of "<prefix>Section".
+function GetSectionPrefixes()
+{
+    var images = document.getElementsByTagName("img");
+    var prefixes = new Array();
+
+    for(var i = 0; i < images.length; i++)
+        if(images[i].className == "collapseToggle" && images[i].id.length > 6 &&
+          images[i].id.substring(images[i].id.length - 6) == "Toggle")
+        {
+            var prefix = images[i].id.substring(0, images[i].id.length - 6);
+
+            if(document.getElementById(prefix + "Section") != null)
+                prefixes.push(prefix);
+        }
+
+    return prefixes;
+}
+
+// Get the title of a section.  Sections of the same type have the same title on every page so it is used to
+// remember the user's choice for them.
+function GetSectionTitle(togglePrefix)
+{
+    var title = document.getElementById(togglePrefix + "Toggle").parentNode;
+    var text = title.innerText || title.textContent || "";
+
+    return text.replace(/^\s+|\s+$/g, "");
+}
+
+// Remember whether sections with the given title should be collapsed
+function SaveSectionPreference(title, expand)
+{
+    var collapsedTitles = GetCookie("CollapsedSections", "").split("|");
+    var titles = new Array();
+
+    for(var i = 0; i < collapsedTitles.length; i++)
+        if(collapsedTitles[i] != "" && collapsedTitles[i] != title)
+            titles.push(collapsedTitles[i]);
+
+    if(!expand && title != "")
+        titles.push(title);
+
+    SetCookie("CollapsedSections", titles.join("|"));
+}
+
+// Expand or collapse all sections on the page.  This only applies to the current page so the choices made
+// for individual sections are not changed.
+function ExpandCollapseAllSections(expand)
+{
+    var prefixes = GetSectionPrefixes();
+
+    for(var i = 0; i < prefixes.length; i++)
+        SetSectionExpanded(prefixes[i], expand);
+}
+
+// Expand the section named in the URL fragment, if any, and scroll to it
+function ShowLinkedSection()
+{
+    var prefix = document.location.hash.replace(/^#/, "");
+
+    if(prefix == "" || document.getElementById(prefix + "Toggle") == null ||
+      document.getElementById(prefix + "Section") == null)
+    {
+        return;
+    }
+
+    SetSectionExpanded(prefix, true);
+    document.getElementById(prefix + "Toggle").parentNode.scrollIntoView();
+}
+
 // Help 1 persistence object.  This requires a hidden input element on the page with a class of "userDataStyle"
 // defined in the style sheet that implements the user data binary behavior:
 // <input type="hidden" id="userDataCache" class="userDataStyle" />
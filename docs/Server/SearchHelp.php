@@ -20,7 +20,8 @@ include("SearchHelp.inc.php");
     if($_GET["SortByTitle"] == "true")
         $sortByTitle = true;
 
-    $keywords = ParseKeywords($searchText);
+    $query = ParseQuery($searchText);
+    $keywords = GetQueryKeywords($query);
     $letters = array();
     $wordDictionary = array();
 
@@ -53,6 +54,6 @@ include("SearchHelp.inc.php");
     }
 
     // Perform the search and return the results as a block of HTML
-    $results = Search($keywords, $fileList, $wordDictionary, $sortByTitle);
+    $results = Search($query, $fileList, $wordDictionary, $sortByTitle);
     echo $results;
 ?>
\ No newline at end of file
@@ -0,0 +1,392 @@
+﻿<?
+// Contributed to the Sandcastle Help File Builder project by Thomas Levesque
+
+class Ranking
+{
+    public $filename;
+    public $pageTitle;
+    public $rank;
+    public $exactMatches;
+
+    function __construct($file, $title, $rank, $exactMatches)
+    {
+        $this->filename = $file;
+        $this->pageTitle = $title;
+        $this->rank = $rank;
+        $this->exactMatches = $exactMatches;
+    }
+}
+
+
+/// <summary>
+/// This class represents a single query term.  A term consisting of
+/// several words, such as a quoted phrase, requires all of them to match.
+/// </summary>
+class SearchTerm
+{
+    public $words;
+    public $isPhrase;
+
+    function __construct($words, $isPhrase)
+    {
+        $this->words = $words;
+        $this->isPhrase = $isPhrase;
+    }
+}
+
+/// <summary>
+/// This class represents a parsed query.  Each required clause is a list
+/// of alternative terms of which at least one must match.  Files matching
+/// any excluded term are removed from the results.
+/// </summary>
+class SearchQuery
+{
+    public $required = array();
+    public $excluded = array();
+}
+
+
+/// <summary>
+/// Split the search text up into keywords.  Two letter words are kept as
+/// they can still be used as a prefix to find longer words.
+/// </summary>
+/// <param name="keywords">The keywords to parse</param>
+/// <returns>A list containing the words for which to search</returns>
+function ParseKeywords($keywords)
+{
+    $keywordList = array();
+    $words = preg_split("/[^\w]+/", $keywords);
+
+    foreach($words as $word)
+    {
+        $checkWord = strtolower($word);
+        $first = substr($checkWord, 0, 1);
+        if(strlen($checkWord) > 1 && !ctype_digit($first) && !in_array($checkWord, $keywordList))
+        {
+            array_push($keywordList, $checkWord);
+        }
+    }
+
+    return $keywordList;
+}
+
+
+/// <summary>
+/// Parse the search text into a query.  Terms are ANDed together by
+/// default.  "OR" between two terms matches either one, a leading "-" or
+/// "NOT" excludes a term, and quoted text is treated as a phrase.  The
+/// index does not record word positions so a phrase matches files that
+/// contain all of its words.
+/// </summary>
+/// <param name="searchText">The search text to parse</param>
+/// <returns>The parsed query</returns>
+function ParseQuery($searchText)
+{
+    $query = new SearchQuery();
+    $clause = -1;
+    $isAlternative = false;
+    $isExcluded = false;
+
+    preg_match_all('/-?"[^"]*"?|\S+/', $searchText, $tokens);
+
+    foreach($tokens[0] as $token)
+    {
+        if($token == "OR")
+        {
+            $isAlternative = ($clause != -1);
+            continue;
+        }
+
+        if($token == "NOT")
+        {
+            $isExcluded = true;
+            continue;
+        }
+
+        if(strlen($token) > 1 && substr($token, 0, 1) == "-")
+        {
+            $isExcluded = true;
+            $token = substr($token, 1);
+        }
+
+        // A term like "Client.Connect" is split into several words and is
+        // treated like a phrase.
+        $words = ParseKeywords($token);
+        $term = new SearchTerm($words, substr($token, 0, 1) == "\"" || count($words) > 1);
+
+        if(count($words) != 0)
+        {
+            if($isExcluded)
+            {
+                array_push($query->excluded, $term);
+                $clause = -1;
+            }
+            else if($isAlternative)
+            {
+                array_push($query->required[$clause], $term);
+            }
+            else
+            {
+                array_push($query->required, array($term));
+                $clause = count($query->required) - 1;
+            }
+        }
+
+        $isAlternative = false;
+        $isExcluded = false;
+    }
+
+    return $query;
+}
+
+
+/// <summary>
+/// Get a list of all of the distinct words used in a query
+/// </summary>
+/// <param name="query">The query from which to get the words</param>
+/// <returns>A list containing the words for which to search</returns>
+function GetQueryKeywords($query)
+{
+    $keywords = array();
+    $terms = $query->excluded;
+
+    foreach($query->required as $clause)
+        $terms = array_merge($terms, $clause);
+
+    foreach($terms as $term)
+        foreach($term->words as $word)
+            if(!in_array($word, $keywords))
+                array_push($keywords, $word);
+
+    return $keywords;
+}
+
+
+/// <summary>
+/// Find the files that match a query term.  A single word term is also
+/// treated as a prefix if partial matches are allowed.  All words of a
+/// phrase must be found in a file.
+/// </summary>
+/// <param name="term">The term to match</param>
+/// <param name="wordDictionary">The dictionary used to find the words</param>
+/// <param name="allowPartial">True to allow partial matches</param>
+/// <returns>An array keyed by file index containing the number of times
+/// the term's words occur in each file and whether or not it was an exact
+/// match</returns>
+function MatchTerm($term, $wordDictionary, $allowPartial)
+{
+    $files = array();
+
+    if(count($term->words) == 1 && !$term->isPhrase && $allowPartial)
+    {
+        // The occurrences of the word itself are exact matches and those of
+        // longer words that start with it are partial matches.
+        $keyword = $term->words[0];
+
+        foreach($wordDictionary as $word => $occurrences)
+        {
+            $word = (string)$word;
+            $isExact = ($word === $keyword);
+
+            if($isExact || strncmp($word, $keyword, strlen($keyword)) == 0)
+                AddFileOccurrences($files, $occurrences, $isExact);
+        }
+
+        return $files;
+    }
+
+    $isFirst = true;
+
+    foreach($term->words as $word)
+    {
+        $wordFiles = array();
+
+        if(array_key_exists($word, $wordDictionary))
+            AddFileOccurrences($wordFiles, $wordDictionary[$word], true);
+
+        if($isFirst)
+        {
+            $isFirst = false;
+            $files = $wordFiles;
+        }
+        else
+        {
+            foreach(array_keys($files) as $index)
+            {
+                if(array_key_exists($index, $wordFiles))
+                    $files[$index]["count"] += $wordFiles[$index]["count"];
+                else
+                    unset($files[$index]);
+            }
+        }
+    }
+
+    return $files;
+}
+
+
+/// <summary>
+/// Add a word's index entries to a set of matching files
+/// </summary>
+/// <param name="files">The matching files to which the entries are added</param>
+/// <param name="occurrences">The word's index entries</param>
+/// <param name="isExact">True if the word was an exact match</param>
+function AddFileOccurrences(&$files, $occurrences, $isExact)
+{
+    foreach($occurrences as $entry)
+    {
+        $index = $entry >> 16;
+
+        if(!array_key_exists($index, $files))
+            $files[$index] = array("count" => 0, "exact" => 0);
+
+        $files[$index]["count"] += $entry & 0xFFFF;
+
+        if($isExact)
+            $files[$index]["exact"] = 1;
+    }
+}
+
+
+/// <summary>
+/// Search for the specified query and return the results as a block of
+/// HTML.
+/// </summary>
+/// <param name="query">The parsed query for which to search</param>
+/// <param name="fileInfo">The file list</param>
+/// <param name="wordDictionary">The dictionary used to find the words</param>
+/// <param name="sortByTitle">True to sort by title, false to sort by
+/// ranking</param>
+/// <returns>A block of HTML representing the search results.</returns>
+function Search($query, $fileInfo, $wordDictionary, $sortByTitle)
+{
+    $sb = "<ol>";
+    $matchingFiles = null;
+    $rankings = array();
+
+    // All required clauses must be found.  A clause is found if any one of
+    // its alternative terms is found.
+    foreach($query->required as $clause)
+    {
+        $clauseFiles = array();
+
+        foreach($clause as $term)
+        {
+            foreach(MatchTerm($term, $wordDictionary, true) as $index => $match)
+            {
+                if(!array_key_exists($index, $clauseFiles))
+                    $clauseFiles[$index] = $match;
+                else
+                {
+                    $clauseFiles[$index]["count"] += $match["count"];
+                    $clauseFiles[$index]["exact"] |= $match["exact"];
+                }
+            }
+        }
+
+        // The exact value of each file counts the clauses that it matches
+        // exactly rather than by prefix.
+        if($matchingFiles === null)
+        {
+            $matchingFiles = $clauseFiles;
+        }
+        else
+        {
+            // After the first clause, remove files that do not appear for
+            // all clauses.
+            foreach(array_keys($matchingFiles) as $index)
+            {
+                if(array_key_exists($index, $clauseFiles))
+                {
+                    $matchingFiles[$index]["count"] += $clauseFiles[$index]["count"];
+                    $matchingFiles[$index]["exact"] += $clauseFiles[$index]["exact"];
+                }
+                else
+                    unset($matchingFiles[$index]);
+            }
+        }
+    }
+
+    if($matchingFiles === null)
+    {
+        return "<strong>Nothing found</strong>";
+    }
+
+    // Remove files containing any of the excluded terms.  These must match
+    // exactly so that excluding a word does not also exclude every longer
+    // word that starts with it.
+    foreach($query->excluded as $term)
+    {
+        foreach(array_keys(MatchTerm($term, $wordDictionary, false)) as $index)
+            unset($matchingFiles[$index]);
+    }
+
+    if(count($matchingFiles) == 0)
+    {
+        return "<strong>Nothing found</strong>";
+    }
+
+    // Rank the files based on the number of times the words occurs.  All
+    // matching files are ranked so that the best ones are kept even if
+    // there are a lot of them.
+    foreach($matchingFiles as $index => $match)
+    {
+        // Split out the title, filename, and word count
+        $fileIndex = explode("\x00", $fileInfo[$index]);
+
+        $title = $fileIndex[0];
+        $filename = $fileIndex[1];
+        $wordCount = intval($fileIndex[2]);
+
+        $r = new Ranking($filename, $title, $match["count"] * 1000 / $wordCount, $match["exact"]);
+        array_push($rankings, $r);
+    }
+
+    // Keep the best 100 files and sort them by rank in descending order or
+    // by page title in ascending order
+    usort($rankings, "cmprank");
+    $rankings = array_slice($rankings, 0, 100);
+
+    if($sortByTitle)
+    {
+        usort($rankings, "cmprankbytitle");
+    }
+
+    // Format the file list and return the results
+    foreach($rankings as $r)
+    {
+        $f = $r->filename;
+        $t = $r->pageTitle;
+        $sb .= "<li><a href=\"$f\" target=\"_blank\">$t</a></li>";
+    }
+
+    $sb .= "</ol>";
+
+    if(count($rankings) < count($matchingFiles))
+    {
+        $c = count($matchingFiles) - count($rankings);
+        $sb .= "<p>Omitted $c more results</p>";
+    }
+
+    return $sb;
+}
+
+// Files that match more of the clauses exactly always rank above those
+// that only match them partially
+function cmprank($x, $y)
+{
+    if($x->exactMatches != $y->exactMatches)
+        return $y->exactMatches - $x->exactMatches;
+
+    if($x->rank == $y->rank)
+        return 0;
+
+    return ($x->rank < $y->rank) ? 1 : -1;
+}
+
+function cmprankbytitle($x, $y)
+{
+    return strcmp($x->pageTitle, $y->pageTitle);
+}
+
+?>
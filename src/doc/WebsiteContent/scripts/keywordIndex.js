@@ -0,0 +1,136 @@
+//===============================================================================================================
+// File    : keywordIndex.js
+//
+// This file contains the methods used to implement the keyword index page.  The keywords are loaded from the
+// WebKI.xml file and listed alphabetically with a filter and jump-to-letter navigation.  It requires the
+// functions in branding-Website.js.
+//===============================================================================================================
+
+// The keywords in the index sorted by title
+var keywordIndex = [];
+
+// Load the keyword index when the index page loads
+function OnKeywordIndexPageLoad()
+{
+    LoadKeywordIndex("WebKI.xml").done(function(keywords)
+    {
+        keywordIndex = keywords.sort(function(x, y)
+        {
+            return x.Title.toLowerCase().localeCompare(y.Title.toLowerCase());
+        });
+
+        ShowKeywordIndex();
+    });
+
+    $("#txtKeywordFilter").on("input", ShowKeywordIndex);
+}
+
+// Show the keywords that match the filter text grouped by their first letter
+function ShowKeywordIndex()
+{
+    var filter = $.trim($("#txtKeywordFilter").val()).toLowerCase();
+    var letters = [], content = "";
+    var currentLetter = null;
+
+    $.each(keywordIndex, function(idx, keyword)
+    {
+        var subEntries = keyword.SubEntries;
+
+        // If the keyword itself does not match, it is still shown if any of its sub-entries do but only with
+        // the matching sub-entries.
+        if(filter.length != 0 && keyword.Title.toLowerCase().indexOf(filter) == -1)
+        {
+            subEntries = $.grep(subEntries, function(subEntry)
+            {
+                return subEntry.Title.toLowerCase().indexOf(filter) != -1;
+            });
+
+            if(subEntries.length == 0)
+                return;
+        }
+
+        var letter = GetKeywordIndexLetter(keyword.Title);
+
+        if(letter != currentLetter)
+        {
+            if(currentLetter != null)
+                content += "</ul>";
+
+            currentLetter = letter;
+            letters.push(letter);
+
+            content += "<h3 id=\"KeywordIndexLetter" + (letter == "#" ? "Other" : letter) +
+                "\" class=\"keywordIndexGroupHeading\">" + letter + "</h3><ul class=\"keywordIndexList\">";
+        }
+
+        content += "<li>" + GetKeywordIndexLink(keyword, filter);
+
+        if(subEntries.length != 0)
+        {
+            content += "<ul>";
+
+            $.each(subEntries, function(subIdx, subEntry)
+            {
+                content += "<li>" + GetKeywordIndexLink(subEntry, filter) + "</li>";
+            });
+
+            content += "</ul>";
+        }
+
+        content += "</li>";
+    });
+
+    if(currentLetter == null)
+        content = "<strong>No keywords found</strong>";
+    else
+        content += "</ul>";
+
+    $("#keywordIndex").html(content);
+
+    ShowKeywordIndexLetterBar(letters);
+}
+
+// Show the jump-to-letter navigation bar.  Letters without any keywords are disabled.
+function ShowKeywordIndexLetterBar(letters)
+{
+    var allLetters = "#ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("");
+    var content = "";
+
+    $.each(allLetters, function(idx, letter)
+    {
+        if($.inArray(letter, letters) != -1)
+            content += "<a href=\"#KeywordIndexLetter" + (letter == "#" ? "Other" : letter) + "\">" + letter +
+                "</a>";
+        else
+            content += "<span class=\"keywordIndexLetterDisabled\">" + letter + "</span>";
+    });
+
+    $("#keywordIndexLetterBar").html(content);
+}
+
+// Get the letter under which a keyword is listed.  Keywords that do not start with a letter are listed under
+// "#".
+function GetKeywordIndexLetter(title)
+{
+    var letter = title.charAt(0).toUpperCase();
+
+    return (letter >= "A" && letter <= "Z") ? letter : "#";
+}
+
+// Get the HTML for a keyword's title with the filter text highlighted.  It links to the keyword's topic if it
+// has one.
+function GetKeywordIndexLink(keyword, filter)
+{
+    var title = HtmlEncode(keyword.Title);
+    var index = (filter.length == 0) ? -1 : keyword.Title.toLowerCase().indexOf(filter);
+
+    if(index != -1)
+        title = HtmlEncode(keyword.Title.substring(0, index)) + "<span class=\"highlight\">" +
+            HtmlEncode(keyword.Title.substring(index, index + filter.length)) + "</span>" +
+            HtmlEncode(keyword.Title.substring(index + filter.length));
+
+    if(keyword.Url)
+        return "<a href=\"" + keyword.Url + "\">" + title + "</a>";
+
+    return "<span class=\"keywordIndexTitle\">" + title + "</span>";
+}
@@ -0,0 +1,56 @@
+//===============================================================================================================
+// File    : WebsiteContent.test.js
+//
+// The published websites in the docs folder are the build output of the documentation projects.  These tests
+// check that the customized files they contain match the content files of the projects so that a change made
+// to one and not the other is caught before the next build overwrites or loses it.
+//===============================================================================================================
+
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("fs");
+var path = require("path");
+
+var docFolder = path.join(__dirname, "..");
+var websitesFolder = path.join(docFolder, "..", "..", "docs");
+
+// The documentation projects and the websites they build
+var projects = [
+    { Project: path.join(docFolder, "stormancerRef.ClientNET45", "stormancerRef.ClientNET45.shfbproj"),
+        Website: path.join(websitesFolder, "ClientNET45") },
+    { Project: path.join(docFolder, "StormancerRef.Server", "StormancerRef.Server.shfbproj"),
+        Website: path.join(websitesFolder, "Server") }
+];
+
+// Get the content files of a project.  Each has the full path of the file and its path in the output.
+function GetContentFiles(projectFile)
+{
+    var project = fs.readFileSync(projectFile, "utf8");
+    var pattern = /<Content Include="([^"]+)"\s*(?:\/>|>\s*<Link>([^<]+)<\/Link>)/g, match, files = [];
+
+    while((match = pattern.exec(project)) != null)
+        files.push({
+            Source: path.join(path.dirname(projectFile), match[1].replace(/\\/g, path.sep)),
+            Output: (match[2] || match[1]).replace(/\\/g, path.sep)
+        });
+
+    return files;
+}
+
+projects.forEach(function(project)
+{
+    test.it(path.basename(project.Project) + " content matches the published website", function()
+    {
+        var files = GetContentFiles(project.Project);
+
+        assert.notStrictEqual(files.length, 0);
+
+        files.forEach(function(file)
+        {
+            assert.ok(fs.readFileSync(file.Source).equals(fs.readFileSync(path.join(project.Website,
+                file.Output))), file.Output + " differs from " + path.relative(docFolder, file.Source));
+        });
+    });
+});
@@ -0,0 +1,200 @@
+//===============================================================================================================
+// File    : branding-Website.test.js
+//
+// Tests for the TOC and search functions in branding-Website.js.  The script is loaded into a jsdom window along with
+// jQuery.  The search index files are served from memory rather than downloaded.
+//===============================================================================================================
+
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("fs");
+var path = require("path");
+var JSDOM = require("jsdom").JSDOM;
+
+// Create a search page with the website script loaded.  The given index files, keyed by URL, are used in place
+// of the real ones.  Files that are not given are treated as missing.
+function CreatePage(indexFiles)
+{
+    var dom = new JSDOM("<!DOCTYPE html><html><body><input id=\"txtSearchText\" type=\"text\" />" +
+        "<div id=\"searchResults\"></div></body></html>", { url: "http://localhost/search.html",
+        runScripts: "outside-only" });
+    var window = dom.window;
+
+    // jQuery is not customized so the presentation style's copy in the published website is used
+    window.eval(fs.readFileSync(path.join(__dirname, "..", "..", "..", "docs", "ClientNET45", "scripts",
+        "jquery-1.11.0.min.js"), "utf8"));
+    window.eval(fs.readFileSync(path.join(__dirname, "..", "WebsiteContent", "scripts", "branding-Website.js"),
+        "utf8"));
+
+    window.LoadSearchIndexFile = function(url)
+    {
+        return window.$.Deferred().resolve(indexFiles[url] || {}).promise();
+    };
+
+    return window;
+}
+
+// Get the suggestion offered for a search, if any, from the HTML returned by SuggestCorrections
+function GetSuggestion(window, searchText, missingWords, docSetRoots)
+{
+    var suggestion = null;
+
+    window.SuggestCorrections(searchText, missingWords, docSetRoots.map(function(root)
+    {
+        return { Title: "", Root: root };
+    })).done(function(html)
+    {
+        suggestion = (html == "") ? "" : window.$(html).find("a").attr("data-searchtext");
+    });
+
+    return suggestion;
+}
+
+// Get an entry for the word dictionary of a search index.  The file index is in the upper bits and the number
+// of times the word occurs in the file is in the lower 16 bits.
+function IndexEntry(fileIdx, count)
+{
+    return fileIdx * Math.pow(2, 16) + count;
+}
+
+test.describe("TOC tree", function()
+{
+    // Get the HTML for a TOC entry at the given level
+    function TocEntryHtml(tocid, level, hasChildren)
+    {
+        return "<div class=\"toclevel" + level + "\" data-toclevel=\"" + level + "\">" + (hasChildren ?
+            "<a class=\"tocExpanded\" onclick=\"javascript: Toggle(this);\" href=\"#!\"></a>" : "") +
+            "<a href=\"" + tocid + ".htm\" title=\"" + tocid + "\" tocid=\"" + tocid + "\">" + tocid +
+            "</a></div>";
+    }
+
+    test.it("nests the child entries in a group owned by their parent", function()
+    {
+        var window = CreatePage({});
+
+        window.$("body").append("<div id=\"tocNav\">" + TocEntryHtml("A", 0, true) +
+            TocEntryHtml("B", 1, true) + TocEntryHtml("C", 2, false) + TocEntryHtml("D", 2, false) +
+            TocEntryHtml("E", 1, false) + TocEntryHtml("F", 0, false) + "</div>");
+
+        window.SetTocTreeAttributes();
+
+        var groups = Array.from(window.document.querySelectorAll("#tocNav [role='group']"), function(group)
+        {
+            return group.parentNode.querySelector("a[tocid]").getAttribute("aria-owns") + " = " +
+                group.getAttribute("aria-owns");
+        });
+
+        assert.deepStrictEqual(groups, ["tocGroup_A = tocItem_B tocItem_E", "tocGroup_B = tocItem_C tocItem_D"]);
+        assert.strictEqual(window.document.getElementById("tocItem_C").getAttribute("aria-level"), "3");
+    });
+});
+
+test.describe("Search ranking", function()
+{
+    var wordDictionary = {
+        connect: [IndexEntry(0, 2), IndexEntry(2, 2)],
+        connection: [IndexEntry(1, 2)]
+    };
+
+    // Get the titles of the search results for the topics with the given titles in ranked order.  Each
+    // topic has the same word count.
+    function GetRankedTitles(window, titles, searchText)
+    {
+        var fileInfo = titles.map(function(title, idx)
+        {
+            return [title, "html/" + idx + ".htm", "100"].join("\0");
+        });
+
+        var results = window.SearchForKeywords(window.ParseQuery(searchText), fileInfo, wordDictionary, null);
+
+        return Array.from(window.$(window.FormatSearchResults(results, false, false)).find("a"),
+            function(link)
+            {
+                return link.textContent;
+            });
+    }
+
+    test.it("ranks a keyword in the title above an exact match found only in the body", function()
+    {
+        var window = CreatePage({});
+
+        assert.deepStrictEqual(GetRankedTitles(window, ["Client.IsLocalDev Property",
+            "IConnectionManager.ConnectionCount Property", "Scene.Connect Method"], "connect"),
+            ["Scene.Connect Method", "IConnectionManager.ConnectionCount Property",
+            "Client.IsLocalDev Property"]);
+    });
+
+    test.it("ranks an exact match above a partial one when neither is in the title", function()
+    {
+        var window = CreatePage({});
+
+        assert.deepStrictEqual(GetRankedTitles(window, ["Client.IsLocalDev Property",
+            "IConnectionManager.Count Property", "Scene.Connect Method"], "connect"),
+            ["Scene.Connect Method", "Client.IsLocalDev Property", "IConnectionManager.Count Property"]);
+    });
+});
+
+test.describe("Search corrections", function()
+{
+    test.it("finds the closest word within the typo limit", function()
+    {
+        var window = CreatePage({});
+
+        assert.strictEqual(window.FindClosestWord("procesor", { processor: [1], process: [1, 2, 3] }),
+            "processor");
+        assert.strictEqual(window.FindClosestWord("sene", { scene: [1], send: [1, 2] }), "send");
+    });
+
+    test.it("does not suggest a word that is too far from the keyword", function()
+    {
+        var window = CreatePage({});
+
+        assert.strictEqual(window.FindClosestWord("vonnect", { version: [1, 2, 3, 4, 5] }), null);
+        assert.strictEqual(window.FindClosestWord("zzzzzz", { abcdef: [1] }), null);
+        assert.strictEqual(window.FindClosestWord("vonnect", { version: [1, 2, 3, 4, 5], connect: [1] }),
+            "connect");
+    });
+
+    test.it("offers nothing when no word is close to the keyword", function()
+    {
+        var window = CreatePage({ "fti/FTI_122.json": { zone: [1] },
+            "fti/FTI_111.json": { object: [1, 2, 3] } });
+
+        assert.strictEqual(GetSuggestion(window, "zzzzzz", ["zzzzzz"], [""]), "");
+        assert.strictEqual(GetSuggestion(window, "xonnect", ["xonnect"], [""]), "");
+    });
+
+    test.it("looks for a typo in the first letter in the files of the keys next to it", function()
+    {
+        var window = CreatePage({ "fti/FTI_99.json": { connect: [1], connection: [1, 2] },
+            "fti/FTI_118.json": { version: [1, 2, 3, 4, 5] } });
+
+        assert.strictEqual(GetSuggestion(window, "vonnect", ["vonnect"], [""]), "connect");
+        assert.strictEqual(GetSuggestion(window, "xonnect scene", ["xonnect"], [""]), "connect scene");
+    });
+
+    test.it("looks for an extra first letter in the file of the second letter", function()
+    {
+        var window = CreatePage({ "fti/FTI_115.json": { scene: [1] } });
+
+        assert.strictEqual(GetSuggestion(window, "xscene", ["xscene"], [""]), "scene");
+    });
+
+    test.it("uses the words of every searched documentation set", function()
+    {
+        var window = CreatePage({ "fti/FTI_112.json": { process: [1] },
+            "../Server/fti/FTI_112.json": { processor: [1, 2] } });
+
+        assert.strictEqual(GetSuggestion(window, "procesor", ["procesor"], ["", "../Server/"]), "processor");
+    });
+
+    test.it("only corrects keywords that every match must contain", function()
+    {
+        var window = CreatePage({});
+
+        assert.deepStrictEqual(Array.from(window.GetMandatoryKeywords(window.ParseQuery(
+            "connect OR conect scene -sesion \"peer client\""))), ["scene", "peer", "client"]);
+    });
+});
@@ -0,0 +1,234 @@
+//===============================================================================================================
+// File    : branding.test.js
+//
+// DOM tests for the code snippets in branding.js.  The script is loaded into a jsdom window along with tab sets
+// built the same way as the ones in the generated topics.
+//===============================================================================================================
+
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("fs");
+var path = require("path");
+var JSDOM = require("jsdom").JSDOM;
+
+// Get the HTML for a tab set.  Each tab is given as an object with the language ID and optionally whether it is
+// a phantom tab and whether its code element is missing.
+function TabSetHtml(tabSetId, tabs)
+{
+    var html = "<div class=\"codeSnippetContainer\"><div class=\"codeSnippetContainerTabs\">";
+
+    tabs.forEach(function(tab, idx)
+    {
+        html += "<div id=\"" + tabSetId + "_tab" + (idx + 1) + "\" class=\"codeSnippetContainerTab" +
+            (tab.Phantom ? "Phantom" : "") + "\"><a href=\"#\" onclick=\"javascript:ChangeTab('" + tabSetId +
+            "','" + tab.Language + "','" + (idx + 1) + "','" + tabs.length + "');return false;\">" +
+            tab.Language + "</a></div>";
+    });
+
+    html += "</div><div class=\"codeSnippetContainerCodeContainer\"><div class=\"codeSnippetToolBar\">" +
+        "<div class=\"codeSnippetToolBarText\"><a id=\"" + tabSetId + "_copyCode\" href=\"#\">Copy</a></div></div>";
+
+    tabs.forEach(function(tab, idx)
+    {
+        if(!tab.NoCode)
+            html += "<div id=\"" + tabSetId + "_code_Div" + (idx + 1) + "\" class=\"codeSnippetContainerCode\" " +
+                "style=\"display: " + (idx == 0 ? "block" : "none") + "\"><pre xml:space=\"preserve\">" +
+                tab.Language + " code</pre></div>";
+    });
+
+    return html + "</div></div>";
+}
+
+// Create a page containing the given tab sets, keyed by ID, and load the branding script into it.  The page
+// is not loaded until OnLoad is called so that each test can set things up first.
+function CreatePage(tabSets)
+{
+    var html = "<!DOCTYPE html><html><body><div class=\"pageHeader\" id=\"PageHeader\">Title</div>";
+
+    Object.keys(tabSets).forEach(function(tabSetId)
+    {
+        html += TabSetHtml(tabSetId, tabSets[tabSetId]);
+    });
+
+    var dom = new JSDOM(html + "</body></html>", { url: "http://localhost/html/topic.htm",
+        runScripts: "outside-only" });
+    var window = dom.window;
+
+    window.eval(fs.readFileSync(path.join(__dirname, "..", "WebsiteContent", "scripts", "branding.js"), "utf8"));
+
+    Object.keys(tabSets).forEach(function(tabSetId)
+    {
+        window.AddLanguageTabSet(tabSetId);
+    });
+
+    return window;
+}
+
+// Get the state of a tab set as a string listing each tab's language, whether it is active ("*") or hidden
+// ("-"), and whether its code is shown ("+").  For example, "cs* + vb" has the C# tab active with its code shown.
+function TabSetState(window, tabSetId)
+{
+    var state = [], tab, idx = 1;
+
+    while((tab = window.document.getElementById(tabSetId + "_tab" + idx)) != null)
+    {
+        var code = window.document.getElementById(tabSetId + "_code_Div" + idx);
+        var text = tab.textContent;
+
+        if(tab.className == "codeSnippetContainerTabActive")
+            text += "*";
+
+        if(tab.style.display == "none")
+            text += "-";
+
+        if(code != null && code.style.display != "none")
+            text += " +";
+
+        state.push(text);
+        idx++;
+    }
+
+    return state.join(" ");
+}
+
+test.describe("Code snippet tab sets", function()
+{
+    test.it("selects the tab for the language", function()
+    {
+        var window = CreatePage({ A: [{ Language: "cs" }, { Language: "vb" }, { Language: "cpp" }] });
+
+        window.SetCurrentLanguage("A", "vb", 3);
+
+        assert.strictEqual(TabSetState(window, "A"), "cs vb* + cpp");
+    });
+
+    test.it("falls back to the neutral tab when no tab matches the language", function()
+    {
+        var window = CreatePage({ A: [{ Language: "cs" }, { Language: "vb" }, { Language: "nu" }] });
+
+        window.SetCurrentLanguage("A", "fs", 3);
+
+        assert.strictEqual(TabSetState(window, "A"), "cs vb nu* +");
+    });
+
+    test.it("falls back to the first real tab when there is no neutral tab", function()
+    {
+        var window = CreatePage({ A: [{ Language: "cs", Phantom: true }, { Language: "vb" },
+            { Language: "cpp" }] });
+
+        window.SetCurrentLanguage("A", "fs", 3);
+
+        assert.strictEqual(TabSetState(window, "A"), "cs- vb* + cpp");
+    });
+
+    test.it("does not select a phantom tab for the preferred language", function()
+    {
+        var window = CreatePage({
+            A: [{ Language: "cs", Phantom: true }, { Language: "vb" }, { Language: "nu" }],
+            B: [{ Language: "cs", Phantom: true }, { Language: "vb" }, { Language: "cpp" }]
+        });
+
+        window.SetCurrentLanguage("A", "cs", 3);
+        window.SetCurrentLanguage("B", "cs", 3);
+
+        assert.strictEqual(TabSetState(window, "A"), "cs- vb nu* +");
+        assert.strictEqual(TabSetState(window, "B"), "cs- vb* + cpp");
+    });
+
+    test.it("skips tabs whose code element is missing", function()
+    {
+        var window = CreatePage({ A: [{ Language: "cs", NoCode: true }, { Language: "vb" },
+            { Language: "fs" }] });
+
+        window.OnLoad("cs");
+
+        assert.strictEqual(TabSetState(window, "A"), "cs vb* + fs");
+
+        // Choosing the tab directly still works, there is just no code to show
+        window.ChangeTab("A", "cs", "1", "3");
+
+        assert.strictEqual(TabSetState(window, "A"), "cs* vb fs");
+    });
+
+    test.it("shows the first tab of a set that only has phantom tabs", function()
+    {
+        var window = CreatePage({ A: [{ Language: "cs", Phantom: true },
+            { Language: "vb", Phantom: true }] });
+
+        window.SetCurrentLanguage("A", "vb", 2);
+
+        assert.strictEqual(TabSetState(window, "A"), "cs + vb-");
+        assert.strictEqual(window.document.getElementById("A_tab1").style.display, "block");
+    });
+
+    test.it("ignores an out-of-range tab index or an unknown tab set", function()
+    {
+        var window = CreatePage({ A: [{ Language: "cs" }, { Language: "vb" }] });
+
+        window.SetCurrentLanguage("A", "vb", 2);
+        window.SetActiveTab("A", 5, 2);
+        window.SetActiveTab("A", 0, 2);
+        window.SetActiveTab("Missing", 1, 1);
+        window.SetCurrentLanguage("Missing", "cs", 1);
+
+        assert.strictEqual(TabSetState(window, "A"), "cs vb* +");
+    });
+
+    test.it("leaves the all languages view when a tab is chosen", function()
+    {
+        var window = CreatePage({
+            A: [{ Language: "cs" }, { Language: "vb" }, { Language: "fs", Phantom: true }],
+            B: [{ Language: "cs" }, { Language: "vb" }]
+        });
+
+        window.OnLoad("cs");
+        window.SelectLanguage("all", null);
+
+        var container = window.document.getElementById("A_tab1").parentNode.parentNode;
+
+        assert.strictEqual(TabSetState(window, "A"), "cs* + vb* + fs-");
+        assert.strictEqual(TabSetState(window, "B"), "cs* + vb* +");
+        assert.match(container.className, /\ballLanguages\b/);
+
+        window.ChangeTab("A", "vb", "2", "3");
+
+        assert.strictEqual(TabSetState(window, "A"), "cs vb* + fs-");
+        assert.strictEqual(TabSetState(window, "B"), "cs vb* +");
+        assert.doesNotMatch(container.className, /\ballLanguages\b/);
+        assert.strictEqual(window.GetCookie("CodeSnippetContainerLanguage", ""), "vb");
+    });
+
+    test.it("highlights the code around and within the spans of the syntax sections", function()
+    {
+        var window = CreatePage({ A: [{ Language: "cs" }, { Language: "vb" }] });
+        var pre = window.document.querySelector("#A_code_Div1 pre");
+
+        pre.innerHTML = "<span class=\"keyword\">public</span> <span class=\"identifier\">string</span> " +
+            "<span class=\"identifier\">Name</span> = \"Test\"; // Comment";
+
+        var text = pre.textContent;
+
+        window.OnLoad("cs");
+
+        assert.deepStrictEqual(Array.from(pre.querySelectorAll("[class*='highlight-']"), function(token)
+        {
+            return token.className + ": " + token.textContent;
+        }), ["keyword highlight-keyword: public", "highlight-keyword: string", "highlight-literal: \"Test\"",
+            "highlight-comment: // Comment"]);
+        assert.strictEqual(pre.textContent, text);
+    });
+
+    test.it("adds line numbers only for the code elements that exist", function()
+    {
+        var window = CreatePage({ A: [{ Language: "cs" }, { Language: "vb", NoCode: true },
+            { Language: "fs" }] });
+
+        window.OnLoad("cs");
+
+        assert.strictEqual(window.GetTabSetCodeDivs("A").length, 2);
+        assert.strictEqual(window.document.querySelectorAll("#A_code_Div1 .codeLineNumbers, " +
+            "#A_code_Div3 .codeLineNumbers").length, 2);
+    });
+});
@@ -0,0 +1,112 @@
+//===============================================================================================================
+// File    : GenerateSearchMetadata.js
+//
+// This script creates the search metadata index (fti/FTI_Metadata.json) of a website built by the help file
+// builder.  The search page uses it to filter the results by API kind and namespace.  It is run as the
+// post-build event of the documentation projects so that it always matches the full-text index of the build.
+//
+// Usage: node GenerateSearchMetadata.js <website output folder>
+//
+// The index is a JSON object keyed by the topic filenames used in fti/FTI_Files.json.  Each value is the
+// topic's kind and the namespace that contains it separated by a null character.  Topics that are not API
+// topics have an empty kind and namespace.
+//===============================================================================================================
+
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+
+// The topic kinds for the member ID prefixes of the API topics.  Type topics get their kind from their title
+// and the member list topics all have the "members" kind.
+var memberKinds = { N: "namespace", M: "method", P: "property", E: "event", F: "field" };
+
+// Read a text file, removing the byte order mark if present
+function ReadTextFile(filename)
+{
+    return fs.readFileSync(filename, "utf8").replace(/^\uFEFF/, "");
+}
+
+// Get the content of a meta element in a topic or an empty string if it does not have it
+function GetMetaContent(topic, name)
+{
+    var match = new RegExp("<meta name=\"" + name.replace(/\./g, "\\.") + "\" content=\"([^\"]*)\"").exec(topic);
+
+    return (match != null) ? DecodeHtml(match[1]) : "";
+}
+
+// Decode the character entities in an attribute value
+function DecodeHtml(text)
+{
+    var entities = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, function(entity, name)
+    {
+        if(name.charAt(0) == "#")
+            return String.fromCharCode(name.charAt(1).toLowerCase() == "x" ? parseInt(name.substring(2), 16) :
+                parseInt(name.substring(1), 10));
+
+        return entities.hasOwnProperty(name) ? entities[name] : entity;
+    });
+}
+
+// Get the kind of an API topic from its help ID and title
+function GetTopicKind(helpId, title)
+{
+    var prefix = helpId.split(":")[0];
+
+    // Member list and overload topics have IDs such as "Methods.T:Stormancer.Scene" and "Overload:..."
+    if(prefix.indexOf(".") != -1 || prefix == "Overload")
+        return "members";
+
+    if(prefix == "T")
+        return title.substring(title.lastIndexOf(" ") + 1).toLowerCase();
+
+    if(prefix == "M" && helpId.indexOf("#ctor") != -1)
+        return "constructor";
+
+    if(prefix == "M" && helpId.indexOf(".op_") != -1)
+        return "operator";
+
+    return memberKinds.hasOwnProperty(prefix) ? memberKinds[prefix] : "";
+}
+
+// Create the metadata index for the website in the given folder
+function GenerateSearchMetadata(websiteFolder)
+{
+    var files = JSON.parse(ReadTextFile(path.join(websiteFolder, "fti", "FTI_Files.json")));
+    var metadata = {};
+
+    files.forEach(function(fileInfo)
+    {
+        var parts = fileInfo.split("\0"), title = parts[0], filename = parts[1];
+        var topicFile = path.join(websiteFolder, filename), kind = "", container = "";
+
+        if(/^html\//.test(filename) && fs.existsSync(topicFile))
+        {
+            var topic = ReadTextFile(topicFile);
+
+            kind = GetTopicKind(GetMetaContent(topic, "Microsoft.Help.Id"), title);
+            container = GetMetaContent(topic, "container");
+        }
+
+        metadata[filename] = kind + "\0" + container;
+    });
+
+    fs.writeFileSync(path.join(websiteFolder, "fti", "FTI_Metadata.json"), JSON.stringify(metadata), "utf8");
+
+    return Object.keys(metadata).length;
+}
+
+if(require.main === module)
+{
+    if(process.argv.length != 3)
+    {
+        console.error("Usage: node GenerateSearchMetadata.js <website output folder>");
+        process.exit(1);
+    }
+
+    console.log("Indexed " + GenerateSearchMetadata(process.argv[2]) + " topics for the search filters");
+}
+
+module.exports = { GenerateSearchMetadata: GenerateSearchMetadata, GetTopicKind: GetTopicKind };